@@ -1,22 +1,81 @@
+import { existsSync } from 'fs'
+import { dirname, resolve } from 'path'
+
 import { generate } from 'astring'
 import { createFilter } from 'rollup-pluginutils';
 
 import { SyntaxError } from './lib/parse'
-import { compile } from './lib/index.js'
+import { compile, OPTIONAL } from './lib/index.js'
+
+const MISSING = '\0jinja:missing'
+
+/**
+ * Resolve paths to modules of project filters or tests, which are relative
+ * to the working directory.
+ */
+function modules(declared={}) {
+  let resolved = {}
+  for (let [name, source] of Object.entries(declared)) {
+    resolved[name] = typeof source === 'string' && source.startsWith('.')
+                   ? resolve(source)
+                   : source
+  }
+  return resolved
+}
 
 export default function jinja(options={}) {
   let filter = createFilter(options.include, options.exclude);
 
+  let filters = modules(options.filters)
+  let tests = modules(options.tests)
+  let roots = [].concat(options.root || []).map(root => resolve(root))
+
   return {
     name: 'Jinja',
 
+    resolveId(importee, importer) {
+      if (!importer || !filter(importer)) return;
+
+      let optional = importee.endsWith(OPTIONAL)
+      if (optional) {
+        importee = importee.slice(0, -OPTIONAL.length)
+      }
+
+      // Templates refer to each other by paths relative to themselves, or
+      // failing that to one of the roots.
+      for (let base of [dirname(importer), ...roots]) {
+        let id = resolve(base, importee)
+        if (filter(id) && existsSync(id)) {
+          return id
+        }
+      }
+
+      if (optional) {
+        return MISSING
+      }
+    },
+
+    load(id) {
+      if (id === MISSING) {
+        return 'export default null'
+      }
+    },
+
     transform(source, id) {
       if (!filter(id)) return;
 
       let ast, code
 
       try {
-        ast = compile(source)
+        ast = compile(source, id, {
+          trimBlocks: options.trimBlocks,
+          lstripBlocks: options.lstripBlocks,
+          autoescape: typeof options.autoescape === 'function'
+                    ? options.autoescape(id)
+                    : options.autoescape,
+          filters,
+          tests,
+        })
         code = generate(ast)
       } catch (ex) {
         console.log(ex)
@@ -1,7 +1,46 @@
 import est from './estree'
+import { filters as BUILTIN_FILTERS } from './filters'
+import { SyntaxError } from './parse'
+import { tests as BUILTIN_TESTS } from './tests'
 
-export default function translate(node) {
-  return new Codegen().convert(node)
+/**
+ * Translate a Jinja template into ESTree.
+ *
+ * @param {Jinja.Template} node
+ * @param {Object}         options
+ * @param {Boolean}        options.autoescape escape output by default
+ * @param {Object}         options.filters    project filters, mapping their
+ *                                            names to either modules
+ *                                            default-exporting them, or `true`
+ *                                            for those added at runtime
+ * @param {Object}         options.tests      project tests, declared the same
+ *                                            way as filters
+ *
+ * @return {Object} `template` expression along with `imports` and
+ *                  `declarations` it needs at the module level
+ */
+export default function translate(node, options={}) {
+  let codegen = new Codegen(options)
+  let template = codegen.convert(node)
+
+  let imports = []
+  for (let [source, specifiers] of Object.entries(codegen.imports)) {
+    // A namespace import can't be combined with named ones.
+    specifiers = Object.entries(specifiers)
+    let namespace = specifiers.filter(([name]) => name === '*')
+    let named = specifiers.filter(([name]) => name !== '*')
+    if (namespace.length > 0) {
+      imports.push(est.import(source, namespace))
+    }
+    if (named.length > 0 || namespace.length === 0) {
+      imports.push(est.import(source, named))
+    }
+  }
+
+  return {
+    declarations: codegen.declarations,
+    imports, template,
+  }
 }
 
 /**
@@ -29,6 +68,31 @@ function loc(node) {
   return est.loc(node.start, node.end)
 }
 
+/**
+ * List names of variables set by a pattern.
+ *
+ * @param {Jinja.Pattern} pattern
+ *
+ * @return {String[]}
+ */
+function patternNames(pattern) {
+  return pattern.type === 'Unpack' ? pattern.names.map(name => name.name) : [pattern.name]
+}
+
+/**
+ * Check that a macro name can be used as the name of an export.
+ *
+ * @param {Jinja.Identifier} name
+ *
+ * @return {Jinja.Identifier}
+ */
+function exportable(name) {
+  if (name.value === 'default') {
+    throw new SyntaxError(name, 'Macros cannot be named default')
+  }
+  return name
+}
+
 /**
  * Create a ESTree literal with source location
  *
@@ -60,20 +124,90 @@ function* enumerate(iterable, start=0) {
   }
 }
 
+const RUNTIME = 'rollup-plugin-jinja/runtime'
+
+/**
+ * Suffix marking imports of templates which may not exist.
+ */
+export const OPTIONAL = '?optional'
+
 const OP_MAP = {
   '==': '===',
   '!=': '!==',
 }
 
+/**
+ * Logical operators, which short-circuit.
+ */
+const LOGICAL_OPS = {
+  and: '&&',
+  or: '||',
+}
+
+/**
+ * Operators which always evaluate to a boolean.
+ */
+const BOOLEAN_OPS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'not in']
+
+/**
+ * Operators implemented by runtime functions.
+ */
+const RUNTIME_OPS = {
+  '~': 'concat',
+  '//': 'floordiv',
+}
+
+/**
+ * Filters and tests available without declaring them.
+ */
+const BUILTINS = {
+  filters: BUILTIN_FILTERS,
+  tests: BUILTIN_TESTS,
+}
+
+/**
+ * Check whether an expression always evaluates to a boolean.
+ *
+ * @param {Jinja.Expression} node
+ *
+ * @return {Boolean}
+ */
+function isBoolean(node) {
+  switch (node.type) {
+  case 'Boolean':
+  case 'Compare':
+  case 'Test':
+    return true
+  case 'UnOp':
+    return node.op.value === 'not'
+  case 'BinOp':
+    if (LOGICAL_OPS.hasOwnProperty(node.op.value)) {
+      return isBoolean(node.left) && isBoolean(node.right)
+    }
+    return BOOLEAN_OPS.indexOf(node.op.value) !== -1
+  case 'Conditional':
+    return node.alternate !== null
+      && isBoolean(node.consequent) && isBoolean(node.alternate)
+  default:
+    return false
+  }
+}
+
 /**
  * Transforms Jinja AST to ESTree.
  *
  * @see #convert
  */
 class Codegen {
-  constructor() {
+  constructor(options={}) {
+    this.autoescape = Boolean(options.autoescape)
+    this.filters = options.filters || {}
+    this.tests = options.tests || {}
     this._inx = 0
     this.stack = []
+    this.imports = {}
+    this.declarations = []
+    this.loops = []
   }
 
   get _top() {
@@ -84,9 +218,15 @@ class Codegen {
     return (this._top || {}).context
   }
 
-  push() {
+  /**
+   * Create a new context.
+   *
+   * @param {String[]} names variables set in the new context
+   */
+  push(names=[]) {
     this.stack.push({
       context: est.ident(`__j_ctx_${this._inx}`, est.loc(1, 0, 1, 0)),
+      names: new Set(names),
     })
     this._inx += 1
   }
@@ -95,6 +235,131 @@ class Codegen {
     this.stack.pop()
   }
 
+  /**
+   * Import a binding from another module.
+   *
+   * @param {String} source module to import from
+   * @param {String} name   name of the export to import
+   *
+   * @return {ESTree.Identifier} local name of the imported binding
+   */
+  import(source, name='default') {
+    let specifiers = this.imports[source] = this.imports[source] || {}
+    if (!specifiers[name]) {
+      specifiers[name] = est.ident(`__j_import_${this._inx++}`)
+    }
+    return specifiers[name]
+  }
+
+  /**
+   * Import a runtime helper.
+   *
+   * @param {String} name
+   *
+   * @return {ESTree.Identifier}
+   */
+  runtime(name) {
+    return this.import(RUNTIME, name)
+  }
+
+  /**
+   * Switch to autoescaping recorded on a hoisted block or macro.
+   *
+   * @param {Jinja.Block|Jinja.Macro} node
+   *
+   * @return {Boolean} autoescaping to restore afterwards
+   */
+  escape(node) {
+    let autoescape = this.autoescape
+    if (typeof node.autoescape === 'boolean') {
+      this.autoescape = node.autoescape
+    }
+    return autoescape
+  }
+
+  /**
+   * Resolve a filter or a test.
+   *
+   * @param {String}         kind `filters` or `tests`
+   * @param {Jinja.Variable} name
+   *
+   * @return {ESTree.Expression}
+   */
+  resolve(kind, name) {
+    let source = Object.prototype.hasOwnProperty.call(this[kind], name.name)
+      ? this[kind][name.name] : null
+    if (typeof source === 'string') {
+      return this.import(source)
+    }
+
+    if (!source && !Object.prototype.hasOwnProperty.call(BUILTINS[kind], name.name)) {
+      throw new SyntaxError(name, `Unknown ${kind.slice(0, -1)} ${name.name}`)
+    }
+
+    let registry = est.member(this.runtime('environment'), est.ident(kind))
+    return est.member(registry, est.ident(name.name, loc(name)))
+  }
+
+  /**
+   * Apply a filter or a test to a value.
+   *
+   * @param {String}            kind   `filters` or `tests`
+   * @param {Jinja.Node}        callee name of the filter or test, possibly
+   *                                   called with arguments, or a chain of
+   *                                   filters
+   * @param {ESTree.Expression} value
+   *
+   * @return {ESTree.Expression}
+   */
+  apply(kind, callee, value) {
+    // A chain of filters, as in `{% filter upper|trim %}`.
+    if (kind === 'filters' && callee.type === 'Filter') {
+      return this.apply(kind, callee.filter, this.apply(kind, callee.value, value))
+    }
+
+    let args = []
+    if (callee.type === 'FunctionCall') {
+      args = callee.args
+      callee = callee.function
+    }
+    if (callee.type !== 'Variable') {
+      throw new SyntaxError(callee, `Expected a ${kind.slice(0, -1)} name`)
+    }
+    return est.call(this.resolve(kind, callee), value, ...this.arguments(args))
+  }
+
+  /**
+   * Convert an expression used as a condition, which is true or false the
+   * way Python would see it.
+   *
+   * @param {Jinja.Expression} node
+   *
+   * @return {ESTree.Expression}
+   */
+  condition(node) {
+    let value = this.convert(node)
+    return isBoolean(node) ? value : est.call(this.runtime('truthy'), value)
+  }
+
+  /**
+   * Convert call arguments, passing keyword arguments in a trailing object.
+   *
+   * @param {Jinja.Expression[]} args
+   *
+   * @return {ESTree.Expression[]}
+   */
+  arguments(args) {
+    let positional = args.filter(arg => arg.type !== 'KeywordArgument')
+      .map(arg => this.convert(arg))
+    let keywords = args.filter(arg => arg.type === 'KeywordArgument')
+      .map(arg => [est.ident(arg.name, loc(arg)), this.convert(arg.value)])
+
+    if (keywords.length > 0) {
+      positional.push(est.call(this.runtime('kwargs'), est.object(keywords)))
+    }
+    return positional
+  }
+
   /**
    * Convert a Jinja AST node to an ESTree node.
    *
@@ -116,68 +381,142 @@ class Codegen {
    * Convert template's root node.
    */
   Template(node) {
-    this.blocks = {}
-    for (let block of node.blocks) {
-      this.blocks[block.name.value] = block
+    this.macros = {}
+    this.signatures = {}
+    this.namespaces = {}
+    for (let macro of node.macros) {
+      exportable(macro.name)
+      this.macros[macro.name.value] = est.ident(`__j_macro_${macro.name.value}`)
+      this.signatures[macro.name.value] = macro.args.map(arg => arg.name.value)
+    }
+    for (let import_ of node.imports) {
+      this.convert(import_)
     }
 
-    this.macros = {}
+    // Macros are declared at the module level, so that blocks can reach them
+    // even when rendered on behalf of another template. Each one is exported
+    // on its own, so that unused ones can be tree-shaken.
+    let macros = []
     for (let macro of node.macros) {
-      this.macros[macro.name.value] = macro
+      let local = this.macros[macro.name.value]
+      this.declarations.push(est.const([[local, this.convert(macro)]]))
+      macros.push([ident(macro.name), local])
     }
+    if (macros.length > 0) {
+      this.declarations.push(est.exportNamed(
+        macros.map(([name, local]) => [local, name])))
+    }
+
+    let blocks = est.ident('__j_blocks')
 
     this.push()
-    let generate = est.generator('generate', this.context)
-    generate.let([[est.ident('__j_macros'), est.member(est.this(), est.ident('macros'))]])
-    this.convert(node.body, generate)
+    let generate = est.generator('generate', this.context, est.assign(blocks, est.object({})))
+    generate.add(est.set(blocks, '=', est.call(
+      this.runtime('inherit'), blocks, est.member(est.this(), est.ident('blocks')))))
+
+    if (node.extends) {
+      // A derived template only evaluates its assignments, after which the
+      // parent renders with the merged blocks.
+      let body = node.body.body.filter(
+        child => child.type === 'Assign' || child.type === 'AssignBlock')
+      body.push({
+        type: 'Extends',
+        template: node.extends,
+        start: node.extends.start,
+        end: node.extends.end,
+      })
+      this.convert(Object.assign({}, node.body, { body }), generate)
+    } else {
+      this.convert(node.body, generate)
+    }
     this.pop()
 
     let render = est.function('render', 'context')
-    render.return(
-      est.call(
-        est.member(
-          est.call(
-            est.member(est.ident('Array'), est.ident('from')),
-            est.call(
-              est.member(est.this(), est.ident('generate')),
-              est.ident('context'))),
-          est.ident('join')),
-        est.literal('')))
+    render.return(est.call(
+      this.runtime('render'),
+      est.call(est.member(est.this(), est.ident('generate')), est.ident('context'))))
 
     return est.object({
-      macros: est.object(node.macros.map(macro => [
-        ident(macro.name), this.convert(macro)
+      macros: est.object(macros),
+      blocks: est.object(node.blocks.map(block => [
+        ident(block.name), this.convert(block)
       ])),
       generate, render,
     }, loc(node))
   }
 
   /**
-   * Convert macro definitions.
+   * Convert delegation to the parent template.
    */
-  Macro(node) {
+  Extends(node, block) {
+    let parent = this.import(node.template.value)
+    block.add(est.yield(est.call(
+      est.member(parent, est.ident('generate')),
+      this.context, est.ident('__j_blocks')), true))
+  }
+
+  /**
+   * Convert block definitions.
+   */
+  Block(node) {
+    let autoescape = this.escape(node)
     this.push()
-    let macro = est.generator(ident(node.name), this.context, est.ident('__j_macros'))
-    this.convert(node.body, macro)
+    let code = est.generator(ident(node.name), this.context, est.ident('__j_blocks'))
+    this.convert(node.body, code)
     this.pop()
-    return macro
+    this.autoescape = autoescape
+    return code
   }
 
   /**
-   * Convert macro arguments.
+   * Convert macro imports.
    */
-  Argument(node) {
-    let pat = ident(node.name)
-    if (node.default) {
-      return est.assign(pat, lit(node.default.value, node.default))
+  Import(node) {
+    let source = node.template.value
+
+    if (node.namespace) {
+      this.namespaces[node.namespace.value] = this.import(source, '*')
     }
-    return pat
+
+    for (let { name, alias } of node.names) {
+      this.macros[(alias || name).value] = this.import(source, exportable(name).value)
+      delete this.signatures[(alias || name).value]
+    }
+  }
+
+  /**
+   * Convert macro definitions.
+   *
+   * Arguments are mapped to their names at runtime, as the names needn't be
+   * valid JavaScript identifiers. Macros are plain generator functions, so
+   * that unused ones can be tree-shaken.
+   */
+  Macro(node) {
+    let autoescape = this.escape(node)
+    let macro = est.generator(null)
+
+    this.push(node.args.map(arg => arg.name.value))
+    let names = est.array(...node.args.map(arg => lit(arg.name.value, arg.name)))
+    let args = est.call(this.runtime('macroArgs'), names, est.ident('arguments'))
+    let defaults = est.object(node.args.map(arg => [
+      ident(arg.name),
+      arg.default ? this.convert(arg.default) : est.ident('undefined'),
+    ]))
+    macro.let([[this.context, est.Object.assign(defaults, args)]])
+    this.convert(node.body, macro)
+    this.pop()
+    this.autoescape = autoescape
+
+    return macro
   }
 
   /**
    * Convert a scope.
+   *
+   * Values in `assign` are assigned to their patterns once the scope's
+   * context has been created.
    */
-  Scope(node, block) {
+  Scope(node, block, { assign=[] }) {
     let hasVars = node.variables.length > 0
 
     if (hasVars) {
@@ -191,10 +530,14 @@ class Codegen {
       let pctx = this.context
       let ctx = est.object(vars)
 
-      this.push()
+      this.push(node.variables)
       block.let([[this.context, pctx ? est.Object.assign(ctx, pctx) : ctx]])
     }
 
+    for (let [pattern, value] of assign) {
+      block.add(est.set(this.convert(pattern), '=', value))
+    }
+
     for (let child of node.body) {
       this.convert(child, block, { root: true })
     }
@@ -216,19 +559,31 @@ class Codegen {
    */
   PutValue(node, block) {
     let value = this.convert(node.value)
-    for (let filter of node.filters.map(f => this.convert(f))) {
-      // TODO: get filters from global state
-      value = est.call(filter, value)
+    for (let filter of node.filters) {
+      value = this.apply('filters', filter, value)
+    }
+    if (this.autoescape) {
+      value = est.call(this.runtime('escape'), value)
     }
     block.add(est.yield(value))
   }
 
+  /**
+   * Convert autoescape blocks.
+   */
+  Autoescape(node, block) {
+    let autoescape = this.autoescape
+    this.autoescape = node.enabled
+    this.convert(node.body, block)
+    this.autoescape = autoescape
+  }
+
   /**
    * Convert case statements.
    */
   CaseStatement(node, block) {
     for (let arm of node.arms) {
-      let test = this.convert(arm.condition)
+      let test = this.condition(arm.condition)
       block = block.if(test)
 
       for (let child of arm.body) {
@@ -243,64 +598,189 @@ class Codegen {
   ForLoop(node, block) {
     let inx = this._inx++
     let loop = est.ident(`__j_loop_${inx}`)
-    let iter = est.iterator(this.convert(node.iterable))
-    let count = est.ident(`__j_count_${inx}`)
-    block.let([[loop, iter], [count, est.literal(0)]])
+    let args = [this.convert(node.iterable)]
+    if (node.filter || node.recursive) {
+      args.push(node.filter ? this.loopFilter(node) : est.literal(null))
+    }
+
+    // Recursive loops are generators, which call themselves to loop over
+    // nested items.
+    let recurse = null
+    if (node.recursive) {
+      recurse = est.ident(`__j_recurse_${inx}`)
+      let iterable = est.ident('__j_iterable')
+      let depth = est.ident('__j_depth')
+      let fn = est.generator(null, iterable, depth)
+      block.let([[recurse, fn]])
+      block.add(est.yield(est.call(recurse, args[0], est.literal(1)), true))
 
-    let code = block.for(null, null, est.pincr(count))
+      block = fn
+      args = [iterable, args[1], depth]
+    }
+    block.let([[loop, est.new(this.runtime('Loop'), ...args)]])
+
+    let code = block.for(null, null, null)
     let item = est.ident(`__j_item_${inx}`)
     code.let([[item, est.call(est.member(loop, est.ident('next')))]])
 
     code.if(est.member(item, est.ident('done'))).then.break()
 
     let ctx = this.context
-    this.push()
+    this.push(['loop'].concat(patternNames(node.pattern)))
     code.let([[this.context, est.Object.assign(est.object({}), ctx)]])
+    code.add(est.set(est.member(this.context, est.ident('loop')), '=', loop))
 
     let pat = this.convert(node.pattern)
     code.add(est.set(pat, '=', est.member(item, est.ident('value'))))
 
-    if (node.filter) {
-      let filter = this.convert(node.filter)
-      code.if(filter).then.continue()
-    }
-
+    this.loops.push({ loop, recurse })
     this.convert(node.body, code)
+    this.loops.pop()
     this.pop()
 
     if (node.alternative) {
-      let else_ = block.if(est.binop(count, '===', est.literal(0))).then
+      let index = est.member(loop, est.ident('index0'))
+      let else_ = block.if(est.binop(index, '<', est.literal(0))).then
       for (let child of node.alternative) {
         this.convert(child, else_)
       }
     }
   }
 
+  /**
+   * Convert a with statement. Values are evaluated in the enclosing scope.
+   */
+  With(node, block) {
+    let assign = node.targets.map(target => [
+      target.pattern, this.convert(target.value),
+    ])
+    this.convert(node.body, block, { assign })
+  }
+
+  /**
+   * Convert a break statement.
+   */
+  Break(node, block) {
+    block.break()
+  }
+
+  /**
+   * Convert a continue statement.
+   */
+  Continue(node, block) {
+    block.continue()
+  }
+
+  /**
+   * Create a function deciding which items a for-loop goes over.
+   */
+  loopFilter(node) {
+    let item = est.ident('__j_item')
+    let fn = est.arrow(null, item)
+
+    let ctx = this.context
+    this.push(patternNames(node.pattern))
+    fn.let([[this.context, est.Object.assign(est.object({}), ctx)]])
+    fn.add(est.set(this.convert(node.pattern), '=', item))
+    fn.return(this.condition(node.filter))
+    this.pop()
+
+    return fn
+  }
+
   /**
    * Convert a block.
    */
   CallBlock(node, block) {
-    let spec = this.blocks[node.name.value]
-    let code = est.generator(null)
+    let name = lit(node.name.value, node.name)
+    block.add(est.yield(est.call(
+      this.runtime('block'), est.ident('__j_blocks'), name, this.context), true))
+  }
 
-    this.push()
-    this.convert(spec.body, code)
-    this.pop()
+  /**
+   * Convert template inclusion.
+   */
+  Include(node, block) {
+    let { template } = node
+    let context = node.context ? this.context : est.object({})
 
-    block.add(est.yield(est.call(code), true))
+    if (template.type === 'String' && !node.ignoreMissing) {
+      let partial = this.import(template.value)
+      block.add(est.yield(est.call(
+        est.member(partial, est.ident('generate')), context), true))
+      return
+    }
+
+    let templates
+    if (template.type === 'String') {
+      templates = this.import(template.value + OPTIONAL)
+    } else if (template.type === 'List' || template.type === 'Tuple') {
+      templates = est.array(...template.items.map(item => item.type === 'String'
+        ? this.import(item.value + OPTIONAL)
+        : this.convert(item)))
+    } else {
+      templates = this.convert(template)
+    }
+
+    block.add(est.yield(est.call(
+      this.runtime('include'), templates, context,
+      est.literal(node.ignoreMissing)), true))
   }
 
   /**
    * Convert macro invocation.
    */
   MacroCall(node, block) {
-    let macro = this.macros[node.macro.value]
-    let code = est.member(est.ident('__j_macros'), ident(node.macro))
-    let args = est.object(Array.from(zip(node.args, macro.args), ([arg, spec]) => [
-      ident(spec.name), this.convert(arg)
-    ]))
+    let macro
+
+    if (node.namespace) {
+      let macros = this.namespaces[node.namespace.value]
+      if (!macros) {
+        throw new SyntaxError(node.namespace, `Unknown namespace ${node.namespace.value}`)
+      }
+      macro = est.member(macros, ident(node.macro))
+    } else {
+      macro = this.macros[node.macro.value]
+      if (!macro) {
+        throw new SyntaxError(node.macro, `Unknown macro ${node.macro.value}`)
+      }
+      this.checkCall(node.macro, node.macro.value, node.args)
+    }
+
+    block.add(est.yield(est.call(macro, ...this.arguments(node.args)), true))
+  }
+
+  /**
+   * Check arguments of a call to a macro, if its argument names are known.
+   *
+   * @param {Jinja.Node}         node  macro being called
+   * @param {String}             name  name of the macro
+   * @param {Jinja.Expression[]} args
+   */
+  checkCall(node, name, args) {
+    let names = this.signatures[name]
+    if (!names) {
+      return
+    }
+
+    let positional = args.filter(arg => arg.type !== 'KeywordArgument')
+    if (positional.length > names.length) {
+      throw new SyntaxError(node,
+        `Macro ${name} takes at most ${names.length} arguments`)
+    }
 
-    block.add(est.yield(est.call(code, args, est.ident('__j_macros')), true))
+    for (let arg of args) {
+      if (arg.type !== 'KeywordArgument') {
+        continue
+      }
+      let index = names.indexOf(arg.name)
+      if (index === -1) {
+        throw new SyntaxError(arg, `Unknown argument ${arg.name}`)
+      }
+      if (index < positional.length) {
+        throw new SyntaxError(arg, `Argument ${arg.name} given more than once`)
+      }
+    }
   }
 
   /**
@@ -313,19 +793,48 @@ class Codegen {
   }
 
   /**
-   * Convert block filters.
+   * Convert assignment of a rendered block.
+   */
+  AssignBlock(node, block) {
+    let code = est.generator(null)
+    this.convert(node.body, code)
+
+    let value = est.call(this.runtime('render'), est.call(code))
+    if (this.autoescape) {
+      value = est.call(this.runtime('markSafe'), value)
+    }
+    for (let filter of node.filters) {
+      value = this.apply('filters', filter, value)
+    }
+
+    block.add(est.set(this.convert(node.pattern), '=', value))
+  }
+
+  /**
+   * Convert filters, both in expressions and in block form.
    */
   Filter(node, block) {
+    if (!node.body) {
+      return this.apply('filters', node.filter, this.convert(node.value))
+    }
+
     let code = est.generator(null)
-    this.push()
     this.convert(node.body, code)
-    this.pop()
 
-    // TODO: get filter from global state
-    let filter = this.convert(node.filter)
-    let value = est.call(filter, est.call(code))
+    let value = est.call(this.runtime('render'), est.call(code))
+    if (this.autoescape) {
+      value = est.call(this.runtime('markSafe'), value)
+    }
+
+    block.add(est.yield(this.apply('filters', node.filter, value)))
+  }
 
-    block.add(est.yield(value, true))
+  /**
+   * Convert a test.
+   */
+  Test(node) {
+    let test = this.apply('tests', node.test, this.convert(node.value))
+    return node.negated ? est.unop('!', test) : test
   }
 
   /**
@@ -334,18 +843,170 @@ class Codegen {
   BinOp(node) {
     let left = this.convert(node.left)
     let right = this.convert(node.right)
-    let op = OP_MAP[node.op.value] || node.op.value
 
-    return est.binop(left, op, right)
+    if (LOGICAL_OPS.hasOwnProperty(node.op.value)) {
+      if (isBoolean(node.left)) {
+        return est.logical(left, LOGICAL_OPS[node.op.value], right)
+      }
+      return this.logical(left, node.op.value, right)
+    }
+
+    if (RUNTIME_OPS.hasOwnProperty(node.op.value)) {
+      return est.call(this.runtime(RUNTIME_OPS[node.op.value]), left, right)
+    }
+
+    return this.compare(left, node.op.value, right)
+  }
+
+  /**
+   * Combine operands of `and` or `or` the way Python does, when the left one
+   * needn't be a boolean.
+   *
+   * `a and b` is converted to
+   * `((t) => { return truthy(t = a) ? b : t })()`,
+   * so that `a` is evaluated only once, and its value is kept when it decides
+   * the result.
+   */
+  logical(left, op, right) {
+    let temp = est.ident(`__j_tmp_${this._inx++}`)
+    let fn = est.arrow(null, temp)
+    let test = est.call(this.runtime('truthy'), est.set(temp, '=', left))
+    fn.return(op === 'and'
+      ? est.conditional(test, right, temp)
+      : est.conditional(test, temp, right))
+    return est.call(fn)
+  }
+
+  /**
+   * Compare two converted operands.
+   */
+  compare(left, op, right) {
+    if (op === 'in' || op === 'not in') {
+      let test = est.call(this.runtime('contains'), right, left)
+      return op === 'in' ? test : est.unop('!', test)
+    }
+    if (op === '**' && left.type === 'UnaryExpression') {
+      // JavaScript doesn't allow `-a ** b` without parentheses, which can't be
+      // expressed in ESTree.
+      return est.call(est.member(est.ident('Math'), est.ident('pow')), left, right)
+    }
+    return est.binop(left, OP_MAP[op] || op, right)
+  }
+
+  /**
+   * Convert a chain of comparisons.
+   *
+   * `a < b < c` is converted to
+   * `((t) => { return a < (t = b) && t < c })()`,
+   * so that `b` is evaluated only once, and `c` only if `a < b`.
+   */
+  Compare(node) {
+    let temps = node.comparators.slice(0, -1).map(
+      () => est.ident(`__j_tmp_${this._inx++}`))
+    let fn = est.arrow(null, ...temps)
+
+    let left = this.convert(node.left)
+    let test = null
+    node.ops.forEach((op, inx) => {
+      let right = this.convert(node.comparators[inx])
+      if (inx < temps.length) {
+        right = est.set(temps[inx], '=', right)
+      }
+
+      let comparison = this.compare(left, op.value, right)
+      test = test === null ? comparison : est.logical(test, '&&', comparison)
+      left = temps[inx]
+    })
+
+    fn.return(test)
+    return est.call(fn)
+  }
+
+  /**
+   * Convert an inline if expression.
+   */
+  Conditional(node) {
+    let alternate = node.alternate === null
+                  ? est.ident('undefined')
+                  : this.convert(node.alternate)
+    return est.conditional(
+      this.condition(node.test), this.convert(node.consequent), alternate)
+  }
+
+  /**
+   * Convert a unary operation.
+   */
+  UnOp(node) {
+    if (node.op.value === 'not') {
+      return est.unop('!', this.condition(node.argument))
+    }
+    return est.unop(node.op.value, this.convert(node.argument))
   }
 
   /**
    * Convert a function call.
    */
   FunctionCall(node) {
-    let fn = this.convert(node.function)
-    let args = node.args.map(n => this.convert(n))
-    return est.call(fn, ...args)
+    let fn = node.function
+    if (fn.type === 'Variable' && fn.name === 'loop' && this.loops.length > 0) {
+      return this.recurse(node)
+    }
+    if (this.isMacro(fn)) {
+      return this.callMacro(node)
+    }
+
+    // Methods are called on their objects, so they must be looked up as plain
+    // properties.
+    if (fn.type === 'Member') {
+      fn = est.member(this.convert(fn.object), this.convert(fn.property, null, { member: true }))
+    } else if (fn.type === 'Subscript' && fn.key.type !== 'Slice') {
+      fn = est.member(this.convert(fn.object), this.convert(fn.key))
+    } else {
+      fn = this.convert(fn)
+    }
+    return est.call(fn, ...this.arguments(node.args))
+  }
+
+  /**
+   * Convert a call to a macro within an expression, which evaluates to its
+   * rendered output.
+   */
+  callMacro(node) {
+    let fn = node.function
+    if (fn.type === 'Variable') {
+      this.checkCall(fn, fn.name, node.args)
+    }
+
+    let macro = fn.type === 'Member'
+              ? est.member(this.convert(fn.object), this.convert(fn.property, null, { member: true }))
+              : this.convert(fn)
+    let value = est.call(this.runtime('render'), est.call(macro, ...this.arguments(node.args)))
+    if (this.autoescape) {
+      value = est.call(this.runtime('markSafe'), value)
+    }
+    return value
+  }
+
+  /**
+   * Convert a call to `loop`, which renders a recursive loop over nested
+   * items.
+   */
+  recurse(node) {
+    let { loop, recurse } = this.loops[this.loops.length - 1]
+    if (recurse === null) {
+      throw new SyntaxError(node, 'Tried to call non-recursive loop')
+    }
+    if (node.args.length !== 1 || node.args[0].type === 'KeywordArgument') {
+      throw new SyntaxError(node, 'loop() takes exactly one argument')
+    }
+
+    let depth = est.binop(est.member(loop, est.ident('depth')), '+', est.literal(1))
+    let items = this.convert(node.args[0])
+    let value = est.call(this.runtime('render'), est.call(recurse, items, depth))
+    if (this.autoescape) {
+      value = est.call(this.runtime('markSafe'), value)
+    }
+    return value
   }
 
   /**
@@ -353,7 +1014,53 @@ class Codegen {
    */
   Variable(node, _, { member=false }) {
     let id = est.ident(node.name, est.loc(node.start, node.end))
-    return member ? id : est.member(this.context, id)
+    if (member) {
+      return id
+    }
+    return this.binding(node.name) || est.member(this.context, id)
+  }
+
+  /**
+   * Find the binding of a macro or a namespace of macros, unless its name is
+   * shadowed by a variable.
+   *
+   * @param {String}   name
+   * @param {String[]} kinds `macros` and/or `namespaces`
+   *
+   * @return {ESTree.Identifier|null}
+   */
+  binding(name, kinds=['macros', 'namespaces']) {
+    if (this.stack.some(entry => entry.names.has(name))) {
+      return null
+    }
+    for (let kind of kinds) {
+      if (this[kind].hasOwnProperty(name)) {
+        return this[kind][name]
+      }
+    }
+    return null
+  }
+
+  /**
+   * Check whether an expression refers to a macro.
+   *
+   * @param {Jinja.Expression} node
+   *
+   * @return {Boolean}
+   */
+  isMacro(node) {
+    if (node.type === 'Variable') {
+      return this.binding(node.name, ['macros']) !== null
+    }
+    return node.type === 'Member' && node.object.type === 'Variable'
+        && this.binding(node.object.name, ['namespaces']) !== null
+  }
+
+  /**
+   * Convert unpacking of a sequence into variables.
+   */
+  Unpack(node) {
+    return est.arrpat(...node.names.map(name => this.convert(name)))
   }
 
   /**
@@ -361,8 +1068,30 @@ class Codegen {
    */
   Member(node) {
     let object = this.convert(node.object)
-    let property = this.convert(node.property, null, { member: true })
-    return est.member(object, property)
+
+    // A number, as in `items.0`, looks up an item.
+    if (node.property.type === 'Number') {
+      return est.call(this.runtime('getitem'), object, this.convert(node.property))
+    }
+
+    let name = lit(node.property.name, node.property)
+    return est.call(this.runtime('getattr'), object, name)
+  }
+
+  /**
+   * Convert item access and slicing.
+   */
+  Subscript(node) {
+    let object = this.convert(node.object)
+    let { key } = node
+
+    if (key.type === 'Slice') {
+      let parts = [key.lower, key.upper, key.step].map(
+        part => part === null ? est.literal(null) : this.convert(part))
+      return est.call(this.runtime('slice'), object, ...parts)
+    }
+
+    return est.call(this.runtime('getitem'), object, this.convert(key))
   }
 
   /**
@@ -385,4 +1114,40 @@ class Codegen {
   Number(node) {
     return lit(node.value, node)
   }
+
+  /**
+   * Convert a none literal.
+   */
+  None(node) {
+    return lit(null, node)
+  }
+
+  /**
+   * Convert a list literal.
+   */
+  List(node) {
+    return est.array(...node.items.map(item => this.convert(item)))
+  }
+
+  /**
+   * Convert a tuple literal. Tuples are represented as arrays.
+   */
+  Tuple(node) {
+    return this.List(node)
+  }
+
+  /**
+   * Convert a dictionary literal.
+   */
+  Dict(node) {
+    return est.object(node.items.map(({ key, value }) => ({
+      type: 'Property',
+      kind: 'init',
+      method: false,
+      shorthand: false,
+      computed: ['String', 'Number'].indexOf(key.type) === -1,
+      key: this.convert(key),
+      value: this.convert(value),
+    })))
+  }
 }
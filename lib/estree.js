@@ -56,7 +56,7 @@ function module_() {
  */
 function isPattern(node) {
   return [
-    'Identifier', 'AssignmentPattern', 'ObjectPattern',
+    'Identifier', 'AssignmentPattern', 'ObjectPattern', 'ArrayPattern',
   ].indexOf(node.type) !== -1
 }
 
@@ -137,6 +137,20 @@ function objpat(props) {
   }
 }
 
+/**
+ * Create an array pattern.
+ *
+ * @param {...(Pattern|MemberExpression)} elements
+ *
+ * @return {Pattern}
+ */
+function arrpat(...elements) {
+  return {
+    type: 'ArrayPattern',
+    elements: elements.map(el => el.type === 'MemberExpression' ? el : pattern(el)),
+  }
+}
+
 /**
  * Check if node is a literal.
  */
@@ -295,6 +309,59 @@ function binop(left, op, right) {
   }
 }
 
+/**
+ * Create a new logical expression.
+ *
+ * @param {Expression}      left
+ * @param {LogicalOperator} op
+ * @param {Expression}      right
+ *
+ * @return {Expression}
+ */
+function logical(left, op, right) {
+  return {
+    type: 'LogicalExpression',
+    operator: op,
+    left: expression(left),
+    right: expression(right),
+  }
+}
+
+/**
+ * Create a new conditional expression.
+ *
+ * @param {Expression} test
+ * @param {Expression} consequent
+ * @param {Expression} alternate
+ *
+ * @return {Expression}
+ */
+function conditional(test, consequent, alternate) {
+  return {
+    type: 'ConditionalExpression',
+    test: expression(test),
+    consequent: expression(consequent),
+    alternate: expression(alternate),
+  }
+}
+
+/**
+ * Create a new unary expression.
+ *
+ * @param {UnaryOperator} op
+ * @param {Expression}    argument
+ *
+ * @return {Expression}
+ */
+function unop(op, argument) {
+  return {
+    type: 'UnaryExpression',
+    operator: op,
+    prefix: true,
+    argument: expression(argument),
+  }
+}
+
 /**
  * Create a new member expression.
  *
@@ -329,7 +396,7 @@ function set(left, op, right) {
   return {
     type: 'AssignmentExpression',
     operator: op,
-    left: expression(left),
+    left: isPattern(left) ? left : expression(left),
     right: expression(right),
   }
 }
@@ -357,6 +424,22 @@ const incrp = arg => update('++', false, arg)
 const pdecr = arg => update('--', true, arg)
 const decrp = arg => update('--', false, arg)
 
+/**
+ * Create a new expression
+ *
+ * @param {Expression}    callee
+ * @param {...Expression} args
+ *
+ * @return {Expression}
+ */
+function new_(callee, ...args) {
+  return {
+    type: 'NewExpression',
+    callee: expression(callee),
+    arguments: args.map(expression),
+  }
+}
+
 /**
  * Create a call expression
  *
@@ -604,10 +687,63 @@ function loop() {
 
 function isModuleDeclaration(node) {
   return [
-    'ExportDefaultDeclaration',
+    'ImportDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration',
   ].indexOf(node.type) !== -1
 }
 
+/**
+ * Create an import declaration.
+ *
+ * @param {String}                 source     module to import from
+ * @param {[[String, Identifier]]} specifiers pairs of imported name and local
+ *                                            binding; `default` and `*` import
+ *                                            respectively the default export
+ *                                            and the module namespace
+ *
+ * @return {ModuleDeclaration}
+ */
+function import_(source, specifiers=[]) {
+  return {
+    type: 'ImportDeclaration',
+    specifiers: specifiers.map(([imported, local]) => {
+      switch (imported) {
+      case 'default':
+        return { type: 'ImportDefaultSpecifier', local: ident(local) }
+      case '*':
+        return { type: 'ImportNamespaceSpecifier', local: ident(local) }
+      default:
+        return {
+          type: 'ImportSpecifier',
+          imported: ident(imported),
+          local: ident(local),
+        }
+      }
+    }),
+    source: literal(source),
+  }
+}
+
+/**
+ * Create a named export declaration.
+ *
+ * @param {[[Identifier, Identifier]]} specifiers pairs of local binding and
+ *                                                exported name
+ *
+ * @return {ModuleDeclaration}
+ */
+function exportNamed(specifiers) {
+  return {
+    type: 'ExportNamedDeclaration',
+    declaration: null,
+    specifiers: specifiers.map(([local, exported]) => ({
+      type: 'ExportSpecifier',
+      local: ident(local),
+      exported: ident(exported),
+    })),
+    source: null,
+  }
+}
+
 function exportDefault(decl) {
   return {
     type: 'ExportDefaultDeclaration',
@@ -889,15 +1025,16 @@ const Object_ = {
 export default {
   loc,
   script, module: module_,
-  isPattern, pattern, ident, assign, objpat,
+  isPattern, pattern, ident, assign, objpat, arrpat,
   isLiteral, literal,
   isExpression, expression, this: this_, array, object, function: function_,
-                binop, member, set, pincr, incrp, pdecr, decrp, call, iterator,
+                binop, logical, conditional, unop, member, set, pincr, incrp, pdecr, decrp, new: new_, call, iterator,
                 arrow, generator, yield: yield_, arrowgen,
   isStatement, empty, debugger: debugger_, with: with_, return: return_,
                break: break_, continue: continue_, if: if_, switch: switch_,
-               switch: switch_, throw: throw_, let: let_, for: for_,
-  exportDefault,
+               switch: switch_, throw: throw_, let: let_, const: const_,
+               for: for_,
+  import: import_, exportNamed, exportDefault,
   Statements, BlockStatement, SwitchStatement, SwitchCase,
   Object: Object_,
 }
@@ -0,0 +1,984 @@
+/**
+ * Filters built into the runtime.
+ */
+
+import { Markup, escape, markSafe } from './markup'
+import { tests as TESTS } from './tests'
+import {
+  compare, getter, ignoreCase, isMapping, iterate, list, str, truthy,
+} from './values'
+
+/**
+ * Keyword arguments, passed to a filter after its positional arguments.
+ */
+export class Keywords {
+  constructor(values) {
+    Object.assign(this, values)
+  }
+}
+
+/**
+ * Wrap keyword arguments of a call.
+ *
+ * @param {Object} values
+ *
+ * @return {Keywords}
+ */
+export function kwargs(values) {
+  return new Keywords(values)
+}
+
+/**
+ * Let a filter take its arguments by name as well as by position.
+ *
+ * @param {String[]} names    names of arguments following the filtered value
+ * @param {Function} filter
+ *
+ * @return {Function}
+ */
+export function parameters(names, filter) {
+  return function (value, ...args) {
+    let keywords = args[args.length - 1]
+    if (!(keywords instanceof Keywords)) {
+      return filter.call(this, value, ...args)
+    }
+
+    args.pop()
+    let positional = args.length
+    for (let [name, arg] of Object.entries(keywords)) {
+      let index = names.indexOf(name)
+      if (index === -1) {
+        throw new TypeError(`Unexpected keyword argument ${name}`)
+      }
+      if (index < positional) {
+        throw new TypeError(`Argument ${name} given more than once`)
+      }
+      args[index] = arg
+    }
+    return filter.call(this, value, ...args)
+  }
+}
+
+/**
+ * Let a string filter take any value, and keep markup as such.
+ *
+ * @param {Function} filter
+ *
+ * @return {Function}
+ */
+function textual(filter) {
+  return function (value, ...args) {
+    if (value instanceof Markup) {
+      return new Markup(filter.call(this, value.value, ...args))
+    }
+    return filter.call(this, str(value), ...args)
+  }
+}
+
+/**
+ * Split a string into lines, like Python's `str.splitlines`.
+ */
+function splitlines(s) {
+  let lines = s.split(/\r\n|[\n\r\v\f\x1c-\x1e\x85\u2028\u2029]/)
+  if (lines[lines.length - 1] === '') {
+    lines.pop()
+  }
+  return lines
+}
+
+const ENTITIES = {
+  amp: '&',
+  apos: "'",
+  gt: '>',
+  lt: '<',
+  nbsp: '\u00a0',
+  quot: '"',
+}
+
+/**
+ * Replace HTML character references with the characters they stand for.
+ */
+function unescape(s) {
+  return s.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (ref, dec, hex, name) => {
+    if (name) {
+      return ENTITIES.hasOwnProperty(name) ? ENTITIES[name] : ref
+    }
+    return String.fromCodePoint(dec ? parseInt(dec, 10) : parseInt(hex, 16))
+  })
+}
+
+/**
+ * Replace the first `count` occurrences of `old` in `s`, or all of them when
+ * `count` is not given or negative.
+ */
+function replaceString(s, old, new_, count) {
+  let parts = old === '' ? ['', ...s, ''] : s.split(old)
+  if (count === undefined || count === null || count < 0
+  || count >= parts.length - 1) {
+    return parts.join(new_)
+  }
+  return parts.slice(0, count + 1).join(new_)
+    + old + parts.slice(count + 1).join(old)
+}
+
+/**
+ * Wrap a single line of text, like Python's `textwrap.wrap`.
+ */
+function wrapLine(line, width, breakLongWords, breakOnHyphens) {
+  let separator = breakOnHyphens ? /(\s+|(?<=[^\s-]-)(?=[^\s-]))/ : /(\s+)/
+  let chunks = line.split(separator).filter(Boolean).reverse()
+  let lines = []
+
+  while (chunks.length > 0) {
+    let current = []
+    let length = 0
+
+    if (lines.length > 0 && chunks[chunks.length - 1].trim() === '') {
+      chunks.pop()
+    }
+
+    while (chunks.length > 0) {
+      let chunk = chunks[chunks.length - 1]
+      if (length + chunk.length > width) break;
+      current.push(chunks.pop())
+      length += chunk.length
+    }
+
+    if (chunks.length > 0 && chunks[chunks.length - 1].length > width) {
+      let chunk = chunks[chunks.length - 1]
+      if (breakLongWords) {
+        let space = Math.max(width - length, 1)
+        current.push(chunk.slice(0, space))
+        chunks[chunks.length - 1] = chunk.slice(space)
+      } else if (current.length === 0) {
+        current.push(chunks.pop())
+      }
+    }
+
+    if (current.length > 0 && current[current.length - 1].trim() === '') {
+      current.pop()
+    }
+    if (current.length > 0) {
+      lines.push(current.join(''))
+    }
+  }
+
+  return lines
+}
+
+const FORMAT = /%(?:\(([^)]*)\))?([-+ #0]*)(\d+)?(?:\.(\d+))?([diouxXeEfFgGcrsa%])/g
+
+/**
+ * Format a number in exponent notation, with at least two exponent digits.
+ */
+function exponent(number, precision) {
+  return number.toExponential(precision).replace(/e([+-])(\d)$/, 'e$10$2')
+}
+
+/**
+ * Format a single value for a conversion specifier of {@link sprintf}.
+ */
+function convert(value, type, flags, precision, toString) {
+  if ('sra'.includes(type)) {
+    let text = toString(value)
+    return precision === undefined ? text : text.slice(0, Number(precision))
+  }
+
+  if (type === 'c') {
+    return typeof value === 'number' ? String.fromCodePoint(value) : str(value)
+  }
+
+  if (typeof value !== 'number' && typeof value !== 'boolean') {
+    throw new TypeError(`%${type} format: a number is required, not ${typeof value}`)
+  }
+
+  let number = Number(value)
+  let sign = number < 0 || Object.is(number, -0) ? '-'
+           : flags.includes('+') ? '+'
+           : flags.includes(' ') ? ' '
+           : ''
+  number = Math.abs(number)
+  precision = precision === undefined ? 6 : Number(precision)
+
+  let prefix = ''
+  let digits
+  switch (type) {
+  case 'd': case 'i': case 'u':
+    digits = Math.trunc(number).toString()
+    break
+
+  case 'o': case 'x': case 'X':
+    digits = Math.trunc(number).toString(type === 'o' ? 8 : 16)
+    if (flags.includes('#')) {
+      prefix = type === 'o' ? '0o' : '0x'
+    }
+    break
+
+  case 'e': case 'E':
+    digits = exponent(number, precision)
+    break
+
+  case 'f': case 'F':
+    digits = number.toFixed(precision)
+    break
+
+  case 'g': case 'G': {
+    precision = precision || 1
+    let exp = Number(exponent(number, precision - 1).split('e')[1])
+    digits = exp >= -4 && exp < precision
+           ? number.toFixed(precision - 1 - exp)
+           : exponent(number, precision - 1)
+    if (!flags.includes('#')) {
+      digits = digits.replace(/(\.\d*?)0+(?=e|$)/, '$1').replace(/\.(?=e|$)/, '')
+    }
+    break
+  }
+  }
+
+  if (type === type.toUpperCase()) {
+    digits = digits.toUpperCase()
+    prefix = prefix.toUpperCase()
+  }
+  return sign + prefix + digits
+}
+
+/**
+ * Format values into a string, like Python's `%` operator.
+ *
+ * @param {String}          format
+ * @param {Array|Object}    args     positional values, or a mapping for
+ *                                   `%(name)s` specifiers
+ * @param {Function}        toString conversion used by `%s`
+ *
+ * @return {String}
+ */
+function sprintf(format, args, toString=str) {
+  let index = 0
+
+  let result = format.replace(FORMAT, (spec, key, flags, width, precision, type) => {
+    if (type === '%') {
+      return '%'
+    }
+
+    let value
+    if (key !== undefined) {
+      if (Array.isArray(args)) {
+        throw new TypeError('format requires a mapping')
+      }
+      if (!(key in args)) {
+        throw new TypeError(`Missing format argument ${key}`)
+      }
+      value = args[key]
+    } else if (!Array.isArray(args)) {
+      value = args
+    } else if (index < args.length) {
+      value = args[index++]
+    } else {
+      throw new TypeError('not enough arguments for format string')
+    }
+
+    let text = convert(value, type, flags, precision, toString)
+    let padding = Math.max(Number(width || 0) - text.length, 0)
+
+    if (flags.includes('-')) {
+      return text + ' '.repeat(padding)
+    }
+    if (flags.includes('0') && !'srac'.includes(type)) {
+      let [, sign] = text.match(/^([-+ ]?(?:0[oxOX])?)/)
+      return sign + '0'.repeat(padding) + text.slice(sign.length)
+    }
+    return ' '.repeat(padding) + text
+  })
+
+  if (Array.isArray(args) && index < args.length) {
+    throw new TypeError('not all arguments converted during string formatting')
+  }
+  return result
+}
+
+/**
+ * Title-case words, which begin after whitespace, dashes and opening brackets.
+ */
+function title(s) {
+  return s.split(/([-\s({\[<]+)/)
+    .filter(Boolean)
+    .map(item => item[0].toUpperCase() + item.slice(1).toLowerCase())
+    .join('')
+}
+
+function capitalize(s) {
+  return s.slice(0, 1).toUpperCase() + s.slice(1).toLowerCase()
+}
+
+function trim(s, chars) {
+  if (chars === undefined || chars === null) {
+    return s.trim()
+  }
+
+  let start = 0
+  let end = s.length
+  while (start < end && chars.includes(s[start])) start++;
+  while (end > start && chars.includes(s[end - 1])) end--;
+  return s.slice(start, end)
+}
+
+function truncate(s, length=255, killwords=false, end='...', leeway=null) {
+  if (leeway === null) {
+    leeway = 5
+  }
+  if (length < end.length) {
+    throw new RangeError(`expected length >= ${end.length}, got ${length}`)
+  }
+  if (s.length <= length + leeway) {
+    return s
+  }
+
+  let result = s.slice(0, length - end.length)
+  if (!killwords) {
+    let space = result.lastIndexOf(' ')
+    if (space !== -1) {
+      result = result.slice(0, space)
+    }
+  }
+  return result + end
+}
+
+function wordwrap(s, width=79, breakLongWords=true, wrapstring=null, breakOnHyphens=true) {
+  if (wrapstring === null) {
+    wrapstring = '\n'
+  }
+  return splitlines(s)
+    .map(line => wrapLine(line, width, breakLongWords, breakOnHyphens).join(wrapstring))
+    .join(wrapstring)
+}
+
+function center(s, width=80) {
+  let margin = width - s.length
+  if (margin <= 0) {
+    return s
+  }
+  let left = Math.floor(margin / 2) + (margin & width & 1)
+  return ' '.repeat(left) + s + ' '.repeat(margin - left)
+}
+
+function indent(s, width=4, first=false, blank=false) {
+  let indention = typeof width === 'string' ? width : ' '.repeat(width)
+  let lines = splitlines(s + '\n')
+
+  let result
+  if (blank) {
+    result = lines.join('\n' + indention)
+  } else {
+    result = lines.shift()
+    if (lines.length > 0) {
+      result += '\n' + lines.map(line => line ? indention + line : line).join('\n')
+    }
+  }
+
+  return first ? indention + result : result
+}
+
+function replace(s, old, new_, count) {
+  if (s instanceof Markup) {
+    return new Markup(replaceString(s.value, str(escape(old)), str(escape(new_)), count))
+  }
+  return replaceString(str(s), str(old), str(new_), count)
+}
+
+function striptags(value) {
+  let text = str(value)
+    .replace(/<!--[^]*?-->/g, '')
+    .replace(/<[^]*?>/g, '')
+  return unescape(text.split(/\s+/).filter(Boolean).join(' '))
+}
+
+function wordcount(s) {
+  return (str(s).match(/[\p{L}\p{N}_]+/gu) || []).length
+}
+
+function format(value, ...args) {
+  let keywords = args[args.length - 1] instanceof Keywords ? args.pop() : null
+  if (keywords && args.length > 0) {
+    throw new TypeError("can't handle positional and keyword arguments at the same time")
+  }
+
+  if (value instanceof Markup) {
+    let result = sprintf(value.value, keywords || args, arg => str(escape(arg)))
+    return new Markup(result)
+  }
+  return sprintf(str(value), keywords || args)
+}
+
+/**
+ * Look up a filter by name, in the environment a filter was called with.
+ */
+function lookupFilter(env, name) {
+  let registry = env && env.filters ? env.filters : filters
+  if (!Object.prototype.hasOwnProperty.call(registry, name)) {
+    throw new TypeError(`No filter named ${name}`)
+  }
+  return registry[name]
+}
+
+/**
+ * Look up a test by name, in the environment a filter was called with.
+ */
+function lookupTest(env, name) {
+  let registry = env && env.tests ? env.tests : TESTS
+  if (!Object.prototype.hasOwnProperty.call(registry, name)) {
+    throw new TypeError(`No test named ${name}`)
+  }
+  return registry[name]
+}
+
+/**
+ * Create a function computing the key items are ordered by.
+ *
+ * @param {Boolean} caseSensitive
+ * @param {String}  attribute     comma separated attributes to order by, or
+ *                                null to order by items themselves
+ *
+ * @return {Function}
+ */
+function sortKey(caseSensitive, attribute) {
+  let post = caseSensitive ? value => value : ignoreCase
+  if (attribute === null || attribute === undefined) {
+    return post
+  }
+
+  let getters = String(attribute).split(',').map(part => getter(part.trim()))
+  if (getters.length === 1) {
+    return item => post(getters[0](item))
+  }
+  return item => getters.map(get => post(get(item)))
+}
+
+/**
+ * Order items by a key.
+ */
+function sortBy(items, key, reverse=false) {
+  let keyed = items.map(item => [key(item), item])
+  keyed.sort((a, b) => reverse ? compare(b[0], a[0]) : compare(a[0], b[0]))
+  return keyed.map(([, item]) => item)
+}
+
+/**
+ * Filter items by a test, shared by `select`, `reject` and their `attr`
+ * variants.
+ */
+function selectWith(env, value, args, expected, attribute) {
+  let get = attribute === undefined ? item => item : getter(attribute)
+
+  let check = truthy
+  if (args.length > 0) {
+    let [name, ...rest] = args
+    let test = lookupTest(env, name)
+    check = item => test(item, ...rest)
+  }
+
+  return list(value).filter(item => truthy(check(get(item))) === expected)
+}
+
+function sort(value, reverse=false, caseSensitive=false, attribute=null) {
+  return sortBy(list(value), sortKey(caseSensitive, attribute), reverse)
+}
+
+function groupby(value, attribute, default_, caseSensitive=false) {
+  let get = getter(attribute, default_)
+  let key = caseSensitive ? get : item => ignoreCase(get(item))
+
+  let groups = []
+  let last
+  for (let item of sortBy(list(value), key)) {
+    let current = key(item)
+    if (groups.length > 0 && compare(last, current) === 0) {
+      groups[groups.length - 1].list.push(item)
+      continue
+    }
+
+    let grouper = get(item)
+    let items = [item]
+    groups.push(Object.assign([grouper, items], { grouper, list: items }))
+    last = current
+  }
+  return groups
+}
+
+function map(value, ...args) {
+  let keywords = args[args.length - 1] instanceof Keywords ? args.pop() : null
+  if (args.length === 0 && keywords && 'attribute' in keywords) {
+    return list(value).map(getter(keywords.attribute, keywords.default))
+  }
+
+  let [name, ...rest] = args
+  let filter = lookupFilter(this, name)
+  if (keywords) {
+    rest.push(keywords)
+  }
+  return list(value).map(item => filter(item, ...rest))
+}
+
+function select(value, ...args) {
+  return selectWith(this, value, args, true)
+}
+
+function reject(value, ...args) {
+  return selectWith(this, value, args, false)
+}
+
+function selectattr(value, attribute, ...args) {
+  return selectWith(this, value, args, true, attribute)
+}
+
+function rejectattr(value, attribute, ...args) {
+  return selectWith(this, value, args, false, attribute)
+}
+
+function unique(value, caseSensitive=false, attribute=null) {
+  let key = sortKey(caseSensitive, attribute)
+  let seen = new Set()
+  return list(value).filter(item => {
+    let current = key(item)
+    if (seen.has(current)) {
+      return false
+    }
+    seen.add(current)
+    return true
+  })
+}
+
+function batch(value, linecount, fillWith=null) {
+  let batches = []
+  let current = []
+
+  for (let item of iterate(value)) {
+    if (current.length === linecount) {
+      batches.push(current)
+      current = []
+    }
+    current.push(item)
+  }
+
+  if (current.length > 0) {
+    while (fillWith !== null && current.length < linecount) {
+      current.push(fillWith)
+    }
+    batches.push(current)
+  }
+  return batches
+}
+
+function slice(value, slices, fillWith=null) {
+  let items = list(value)
+  let perSlice = Math.floor(items.length / slices)
+  let withExtra = items.length % slices
+  let offset = 0
+  let result = []
+
+  for (let number = 0; number < slices; ++number) {
+    let start = offset + number * perSlice
+    if (number < withExtra) {
+      offset += 1
+    }
+    let part = items.slice(start, offset + (number + 1) * perSlice)
+    if (fillWith !== null && number >= withExtra) {
+      part.push(fillWith)
+    }
+    result.push(part)
+  }
+  return result
+}
+
+function join(value, separator='', attribute=null) {
+  let items = list(value)
+  if (attribute !== null) {
+    items = items.map(getter(attribute))
+  }
+
+  if (separator instanceof Markup || items.some(item => item instanceof Markup)) {
+    return new Markup(items.map(item => str(escape(item))).join(str(escape(separator))))
+  }
+  return items.map(str).join(str(separator))
+}
+
+function first(value) {
+  for (let item of iterate(value)) {
+    return item
+  }
+}
+
+function last(value) {
+  let items = list(value)
+  return items[items.length - 1]
+}
+
+function length(value) {
+  if (value instanceof Map || value instanceof Set) {
+    return value.size
+  }
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length
+  }
+  return list(value).length
+}
+
+function sum(value, attribute=null, start=0) {
+  let items = list(value)
+  if (attribute !== null) {
+    items = items.map(getter(attribute))
+  }
+  return items.reduce((total, item) => total + item, start)
+}
+
+function extreme(value, caseSensitive, attribute, sign) {
+  let key = sortKey(caseSensitive, attribute)
+  let best
+  let bestKey
+  for (let item of iterate(value)) {
+    let current = key(item)
+    if (best === undefined || sign * compare(current, bestKey) > 0) {
+      best = item
+      bestKey = current
+    }
+  }
+  return best
+}
+
+function min(value, caseSensitive=false, attribute=null) {
+  return extreme(value, caseSensitive, attribute, -1)
+}
+
+function max(value, caseSensitive=false, attribute=null) {
+  return extreme(value, caseSensitive, attribute, 1)
+}
+
+function reverse(value) {
+  if (typeof value === 'string' || value instanceof Markup) {
+    return Array.from(str(value)).reverse().join('')
+  }
+  return list(value).reverse()
+}
+
+function dictsort(value, caseSensitive=false, by='key', reverse=false) {
+  let position = ['key', 'value'].indexOf(by)
+  if (position === -1) {
+    throw new TypeError("You can only sort by either 'key' or 'value'")
+  }
+  if (!isMapping(value)) {
+    throw new TypeError(`${value} is not a mapping`)
+  }
+
+  let key = caseSensitive ? item => item[position] : item => ignoreCase(item[position])
+  return sortBy(list(value), key, reverse)
+}
+
+const JSON_ESCAPES = {
+  '<': '\\u003c',
+  '>': '\\u003e',
+  '&': '\\u0026',
+  "'": '\\u0027',
+}
+
+/**
+ * Serialize maps and sets, which JSON otherwise renders as empty objects.
+ */
+function jsonReplacer(key, value) {
+  if (value instanceof Map) {
+    return Object.fromEntries(value)
+  }
+  if (value instanceof Set) {
+    return Array.from(value)
+  }
+  if (value instanceof Markup) {
+    return value.value
+  }
+  return value
+}
+
+/**
+ * Percent-encode a string for use in URLs, like Python's `urllib.quote`.
+ *
+ * @param {*}       value
+ * @param {Boolean} query encode for use in a query string, in which slashes
+ *                        are quoted and spaces become pluses
+ *
+ * @return {String}
+ */
+function quote(value, query=false) {
+  let text = encodeURIComponent(str(value))
+    .replace(/[!'()*]/g, chr => '%' + chr.charCodeAt(0).toString(16).toUpperCase())
+  return query ? text.replace(/%20/g, '+') : text.replace(/%2F/g, '/')
+}
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i
+
+/**
+ * Convert a value to a number, like Python's `float`.
+ *
+ * @return {Number|undefined} undefined if the value is not a number
+ */
+function toNumber(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return Number(value)
+  }
+  if (typeof value === 'string' || value instanceof Markup) {
+    let text = str(value).trim()
+    if (NUMBER.test(text)) {
+      return Number(text)
+    }
+  }
+}
+
+function tojson(value, indent=null) {
+  let json = JSON.stringify(value, jsonReplacer, indent === null ? undefined : indent)
+  if (json === undefined) {
+    json = 'null'
+  }
+  return new Markup(json.replace(/[<>&']/g, chr => JSON_ESCAPES[chr]))
+}
+
+function filesizeformat(value, binary=false) {
+  let bytes = toNumber(value)
+  let base = binary ? 1024 : 1000
+  let prefixes = binary
+               ? ['KiB', 'MiB', 'GiB', 'TiB', 'PiB', 'EiB', 'ZiB', 'YiB']
+               : ['kB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB']
+
+  if (bytes === 1) {
+    return '1 Byte'
+  }
+  if (bytes < base) {
+    return `${Math.trunc(bytes)} Bytes`
+  }
+
+  let unit
+  let prefix
+  for (let i = 0; i < prefixes.length; ++i) {
+    unit = base ** (i + 2)
+    prefix = prefixes[i]
+    if (bytes < unit) break;
+  }
+  return `${(base * bytes / unit).toFixed(1)} ${prefix}`
+}
+
+function urlencode(value) {
+  if (typeof value === 'string' || value instanceof Markup) {
+    return quote(value)
+  }
+  return list(value)
+    .map(([key, item]) => `${quote(key, true)}=${quote(item, true)}`)
+    .join('&')
+}
+
+const URL = new RegExp([
+  '^((https?://|www\\.)(([\\w%-]+\\.)+)?([a-z]{2,63}|xn--[\\w%]{2,59})',
+  '|([\\w%-]{2,63}\\.)+(com|net|int|edu|gov|org|info|mil)',
+  '|(https?://)((([\\d]{1,3})(\\.[\\d]{1,3}){3})',
+  '|(\\[([\\da-f]{0,4}:){2}([\\da-f]{0,4}:?){1,6}])))',
+  '(?::[\\d]{1,5})?(?:[/?#]\\S*)?$',
+].join(''), 'i')
+
+const EMAIL = /^\S+@\w[\w.-]*\.\w+$/
+
+const BRACKETS = [['(', ')'], ['<', '>'], ['&lt;', '&gt;']]
+
+/**
+ * Count occurrences of a substring.
+ */
+function occurrences(s, part) {
+  return s.split(part).length - 1
+}
+
+function urlize(value, trimUrlLimit=null, nofollow=false, target=null, rel=null, extraSchemes=null) {
+  let rels = new Set(['noopener'].concat(rel ? String(rel).split(/\s+/) : []))
+  if (nofollow) {
+    rels.add('nofollow')
+  }
+  let attrs = ` rel="${escape(Array.from(rels).filter(Boolean).sort().join(' '))}"`
+  if (target) {
+    attrs += ` target="${escape(target)}"`
+  }
+
+  let trim = url => trimUrlLimit !== null && url.length >= trimUrlLimit
+                  ? url.slice(0, trimUrlLimit) + '...'
+                  : url
+
+  let words = str(escape(value)).split(/(\s+)/)
+  return new Markup(words.map(word => {
+    let head = ''
+    let middle = word
+    let tail = ''
+
+    let match = middle.match(/^([(<]|&lt;)+/)
+    if (match) {
+      head = match[0]
+      middle = middle.slice(head.length)
+    }
+
+    match = middle.match(/([)>.,\n]|&gt;)+$/)
+    if (match) {
+      tail = match[0]
+      middle = middle.slice(0, match.index)
+    }
+
+    // Prefer balancing parentheses in URLs to ignoring trailing characters.
+    for (let [open, close] of BRACKETS) {
+      let opened = occurrences(middle, open)
+      if (opened <= occurrences(middle, close)) continue;
+
+      for (let n = Math.min(opened, occurrences(tail, close)); n > 0; --n) {
+        let end = tail.indexOf(close) + close.length
+        middle += tail.slice(0, end)
+        tail = tail.slice(end)
+      }
+    }
+
+    if (URL.test(middle)) {
+      let href = /^https?:\/\//.test(middle) ? middle : `https://${middle}`
+      middle = `<a href="${href}"${attrs}>${trim(middle)}</a>`
+    } else if (middle.startsWith('mailto:') && EMAIL.test(middle.slice(7))) {
+      middle = `<a href="${middle}">${middle.slice(7)}</a>`
+    } else if (middle.includes('@') && !middle.startsWith('www.')
+    && !middle.includes(':') && EMAIL.test(middle)) {
+      middle = `<a href="mailto:${middle}">${middle}</a>`
+    } else {
+      for (let scheme of extraSchemes || []) {
+        if (middle !== scheme && middle.startsWith(scheme)) {
+          middle = `<a href="${middle}"${attrs}>${middle}</a>`
+          break
+        }
+      }
+    }
+
+    return head + middle + tail
+  }).join(''))
+}
+
+function xmlattr(value, autospace=true) {
+  let attrs = []
+  for (let [key, item] of list(value)) {
+    if (item === null || item === undefined) continue;
+    if (/[\s/>=]/.test(key)) {
+      throw new TypeError(`Invalid character in attribute name: ${key}`)
+    }
+    attrs.push(`${escape(key)}="${escape(item)}"`)
+  }
+
+  let result = attrs.join(' ')
+  return new Markup(autospace && result ? ' ' + result : result)
+}
+
+/**
+ * Check whether a number lies exactly halfway between two numbers with
+ * `precision` decimal digits.
+ */
+function isHalf(value, precision) {
+  if (precision < 0 || Math.abs(value) >= 1e21) {
+    return Math.abs((value * 10 ** precision) % 1) === 0.5
+  }
+  let decimals = value.toFixed(100).split('.')[1]
+  return decimals[precision] === '5' && /^0*$/.test(decimals.slice(precision + 1))
+}
+
+function round(value, precision=0, method='common') {
+  let factor = 10 ** precision
+  let scaled = value * factor
+
+  switch (method) {
+  case 'common': {
+    // Round halves to even, like Python does.
+    if (isHalf(value, precision)) {
+      return 2 * Math.round(scaled / 2) / factor
+    }
+    return precision >= 0 ? Number(value.toFixed(precision)) : Math.round(scaled) / factor
+  }
+  case 'ceil':
+    return Math.ceil(scaled) / factor
+  case 'floor':
+    return Math.floor(scaled) / factor
+  default:
+    throw new TypeError('method must be common, ceil or floor')
+  }
+}
+
+function int(value, default_=0, base=10) {
+  if (typeof value === 'string' || value instanceof Markup) {
+    let [, sign, digits] = str(value).trim().toLowerCase().match(/^([-+]?)(.*)$/)
+    let prefix = { 2: '0b', 8: '0o', 16: '0x' }[base]
+    if (prefix && digits.startsWith(prefix)) {
+      digits = digits.slice(2)
+    }
+
+    let valid = '0123456789abcdefghijklmnopqrstuvwxyz'.slice(0, base)
+    if (digits && Array.from(digits).every(digit => valid.includes(digit))) {
+      return parseInt(sign + digits, base)
+    }
+  }
+
+  let number = toNumber(value)
+  return Number.isFinite(number) ? Math.trunc(number) : default_
+}
+
+function float(value, default_=0.0) {
+  let number = toNumber(value)
+  return number === undefined ? default_ : number
+}
+
+function default_(value, fallback='', boolean=false) {
+  return value === undefined || (boolean && !truthy(value)) ? fallback : value
+}
+
+export const filters = {
+  abs: Math.abs,
+  batch: parameters(['linecount', 'fill_with'], batch),
+  capitalize: textual(capitalize),
+  center: parameters(['width'], textual(center)),
+  count: length,
+  d: parameters(['default_value', 'boolean'], default_),
+  default: parameters(['default_value', 'boolean'], default_),
+  dictsort: parameters(['case_sensitive', 'by', 'reverse'], dictsort),
+  e: escape,
+  escape,
+  filesizeformat: parameters(['binary'], filesizeformat),
+  first,
+  float: parameters(['default'], float),
+  format,
+  groupby: parameters(['attribute', 'default', 'case_sensitive'], groupby),
+  indent: parameters(['width', 'first', 'blank'], textual(indent)),
+  int: parameters(['default', 'base'], int),
+  join: parameters(['d', 'attribute'], join),
+  last,
+  length,
+  list,
+  lower: textual(s => s.toLowerCase()),
+  map,
+  max: parameters(['case_sensitive', 'attribute'], max),
+  min: parameters(['case_sensitive', 'attribute'], min),
+  reject,
+  rejectattr,
+  replace: parameters(['old', 'new', 'count'], replace),
+  reverse,
+  round: parameters(['precision', 'method'], round),
+  safe: markSafe,
+  select,
+  selectattr,
+  slice: parameters(['slices', 'fill_with'], slice),
+  sort: parameters(['reverse', 'case_sensitive', 'attribute'], sort),
+  striptags,
+  sum: parameters(['attribute', 'start'], sum),
+  title: textual(title),
+  tojson: parameters(['indent'], tojson),
+  trim: parameters(['chars'], textual(trim)),
+  truncate: parameters(['length', 'killwords', 'end', 'leeway'], textual(truncate)),
+  unique: parameters(['case_sensitive', 'attribute'], unique),
+  upper: textual(s => s.toUpperCase()),
+  urlencode,
+  urlize: parameters(
+    ['trim_url_limit', 'nofollow', 'target', 'rel', 'extra_schemes'],
+    urlize),
+  wordcount,
+  wordwrap: parameters(
+    ['width', 'break_long_words', 'wrapstring', 'break_on_hyphens'],
+    textual(wordwrap)),
+  xmlattr: parameters(['autospace'], xmlattr),
+}
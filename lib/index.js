@@ -2,16 +2,30 @@ import translate from './codegen'
 import est from './estree'
 import { Source, Parser } from './parse'
 
-export function compile(source, name) {
+export { OPTIONAL } from './codegen'
+
+/**
+ * Compile a template into an ESTree module.
+ *
+ * @param {String} source
+ * @param {String} name
+ * @param {Object} options passed to {@link Parser} and {@link translate}
+ *
+ * @return {ESTree.Program}
+ */
+export function compile(source, name, options={}) {
   source = new Source(source, name)
 
-  let parser = new Parser(source)
+  let parser = new Parser(source, options)
   parser.process()
 
-  let ast = translate(parser.generate())
+  let { imports, declarations, template } = translate(parser.generate(), options)
 
   let program = est.module()
-  program.add(est.exportDefault(ast))
+  for (let node of imports.concat(declarations)) {
+    program.add(node)
+  }
+  program.add(est.exportDefault(template))
 
   return program
 }
@@ -0,0 +1,52 @@
+/**
+ * Strings safe for inclusion in HTML.
+ */
+
+/**
+ * A string which is safe to output without escaping.
+ */
+export class Markup {
+  constructor(value) {
+    this.value = String(value)
+  }
+
+  toString() {
+    return this.value
+  }
+}
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&#34;',
+  "'": '&#39;',
+}
+
+/**
+ * Escape a value for inclusion in HTML.
+ *
+ * Values which are already {@link Markup} are left untouched, as are `null`
+ * and `undefined`, which render as nothing.
+ *
+ * @param {*} value
+ *
+ * @return {Markup}
+ */
+export function escape(value) {
+  if (value instanceof Markup || value === null || value === undefined) {
+    return value
+  }
+  return new Markup(String(value).replace(/[&<>"']/g, chr => ESCAPES[chr]))
+}
+
+/**
+ * Mark a value as safe to output without escaping.
+ *
+ * @param {*} value
+ *
+ * @return {Markup}
+ */
+export function markSafe(value) {
+  return value instanceof Markup ? value : new Markup(value)
+}
@@ -10,22 +10,49 @@ const SYMBOLS = [
   '+',  0,
   ',',  0,
   '-',  0,
+  '-#', 1,
+  '-#}',2,
+  '-%', 1,
+  '-%}',2,
+  '-}', 1,
+  '-}}',2,
   '.',  0,
   '/',  0,
+  '//', 1,
+  ':',  0,
   '<',  0,
   '<=', 1,
   '=',  0,
   '==', 1,
   '>',  0,
   '>=', 1,
+  '[',  0,
+  ']',  0,
   '{',  0,
+  '{#', 1,
+  '{#-',2,
   '{%', 1,
+  '{%-',2,
   '{{', 1,
+  '{{-',2,
   '|',  0,
   '}',  0,
   '}}', 1,
+  '~',  0,
 ]
 
+/**
+ * Delimiters with whitespace control, mapped to their plain counterparts.
+ */
+const TRIM = {
+  '{#-': '{#',
+  '{%-': '{%',
+  '{{-': '{{',
+  '-#}': '#}',
+  '-%}': '%}',
+  '-}}': '}}',
+}
+
 export class Source {
   constructor(code) {
     this.code = code
@@ -77,6 +104,15 @@ export class Source {
     }
   }
 
+  /**
+   * Move back to an earlier location on the current line.
+   */
+  rewind(location) {
+    this.offset = location.offset
+    this.line = location.line
+    this.column = location.column
+  }
+
   /**
    * Get code range between two source locations.
    */
@@ -87,12 +123,47 @@ export class Source {
   }
 
   /**
-   * Get next event.
+   * Advance past any whitespace.
    */
-  next(strings=false) {
+  skipSpace() {
     while (this.chr.match(/\s/)) {
       this.nextchr()
     }
+  }
+
+  /**
+   * Compute location of an offset, starting from a known location before it.
+   */
+  locate(offset, from) {
+    let { line, column } = from
+    for (let i = from.offset ; i < offset ; ++i) {
+      if (this.code[i] === '\n') {
+        line += 1
+        column = 0
+      } else {
+        column += 1
+      }
+    }
+    return { offset, line, column }
+  }
+
+  /**
+   * Advance until the next occurrence of a string.
+   *
+   * @return {Boolean} false if the source ended before the string was found
+   */
+  seek(str) {
+    while (!this.eos && !this.code.startsWith(str, this.offset)) {
+      this.nextchr()
+    }
+    return !this.eos
+  }
+
+  /**
+   * Get next event.
+   */
+  next(strings=false) {
+    this.skipSpace()
 
     let start = this.location
     let ret = null
@@ -104,7 +175,9 @@ export class Source {
         this.nextchr()
       }
 
-      if (this.chr === '.') {
+      // A number following a dot is an index, as in `items.0.name`, and has
+      // no fraction.
+      if (this.chr === '.' && this.code[start.offset - 1] !== '.') {
         this.nextchr()
         while (this.chr.match(/\d/)) {
           this.nextchr()
@@ -141,7 +214,7 @@ export class Source {
       this.nextchr()
 
       ret = { type: 'String' }
-    } else if (this.chr.match(/[-<>,./{}[\]!#%*()+=,|]/)) {
+    } else if (this.chr.match(/[-<>,./:{}[\]!#%*()+=,|~]/)) {
       let sym = null
       let depth = 0
       for (let i = 0 ; i < SYMBOLS.length && depth <= SYMBOLS[i+1] ; i += 2) {
@@ -157,7 +230,13 @@ export class Source {
         }
       }
 
-      if (sym) {
+      if (TRIM[sym]) {
+        ret = {
+          type: 'Symbol',
+          value: TRIM[sym],
+          trim: true,
+        }
+      } else if (sym) {
         ret = {
           type: 'Symbol',
           value: sym,
@@ -268,6 +347,27 @@ function filterStatement(parser, id) {
   }
 }
 
+function autoescapeStatement(parser, id) {
+  switch (id.value) {
+  case 'endautoescape': parser.endautoescape(id);  break
+  default:              parser.error(id, "Invalid statement")
+  }
+}
+
+function setStatement(parser, id) {
+  switch (id.value) {
+  case 'endset':    parser.endset(id);  break
+  default:          parser.error(id, "Invalid statement")
+  }
+}
+
+function withStatement(parser, id) {
+  switch (id.value) {
+  case 'endwith':   parser.endwith(id);  break
+  default:          parser.error(id, "Invalid statement")
+  }
+}
+
 function blockStatement(parser, id) {
   switch (id.value) {
   case 'endblock':  parser.endblock(id);  break
@@ -275,12 +375,31 @@ function blockStatement(parser, id) {
   }
 }
 
+/**
+ * Statements whose bodies are placed inline in the enclosing body, so that
+ * loop controls inside them still apply to the enclosing loop.
+ */
+const INLINE_STATEMENTS = [
+  ifStatement, elseStatement, autoescapeStatement, withStatement,
+]
+
 export class Parser {
-  constructor(source) {
+  /**
+   * @param {Source} source
+   * @param {Object} options
+   * @param {Boolean} options.trimBlocks   remove first newline after a block
+   *                                       tag
+   * @param {Boolean} options.lstripBlocks strip spaces and tabs from start of
+   *                                       a line to a block tag
+   */
+  constructor(source, options={}) {
     this.source = source
+    this.options = options
     this._start = source.location
     this.blocks = {}
     this.macros = {}
+    this.imports = []
+    this.comments = []
     this.variables = {}
     this.extends = null
     this.stack = [{
@@ -305,9 +424,11 @@ export class Parser {
 
     return {
       type: 'Template',
-      extends: null,
+      extends: this.extends,
       blocks: Object.values(this.blocks),
       macros: Object.values(this.macros),
+      imports: this.imports,
+      comments: this.comments,
       body: scope.generate(this.source.location, body),
       start: this._start,
       end: this.source.location
@@ -332,10 +453,12 @@ export class Parser {
       }
       break
     }
+
+    return ev
   }
 
   check(type, data) {
-    let ev = this.peek()
+    let ev = this.peek(true)
     if (ev.type !== type) {
       return false
     }
@@ -391,22 +514,57 @@ export class Parser {
     return event
   }
 
+  string() {
+    let event = this.next(true)
+    if (event.type !== 'String') {
+      this.error(event, "Expected string")
+    }
+    event.value = this.source.substr(event.start.offset + 1, event.end.offset - 1)
+    return event
+  }
+
   process() {
     let start = this.source.location
 
     for (let event of this.source.events()) {
-      if (event.type !== 'Symbol' || (event.value !== '{%' && event.value !== '{{')) {
+      if (event.type !== 'Symbol' || ['{%', '{{', '{#'].indexOf(event.value) === -1) {
         continue
       }
 
-      if (event.start.offset - start.offset > 0) {
-        this.putText(start, event.start)
+      let block = event.value !== '{{'
+      let end = event.start
+      if (event.trim) {
+        let text = this.source.substr(start, end).replace(/\s+$/, '')
+        end = this.source.locate(start.offset + text.length, start)
+      } else if (block && this.options.lstripBlocks) {
+        let text = this.source.substr(start, end).replace(/[ \t]+$/, '')
+        let stripped = this.source.locate(start.offset + text.length, start)
+        if (stripped.column === 0) {
+          end = stripped
+        }
+      }
+
+      if (end.offset - start.offset > 0) {
+        this.putText(start, end)
       }
 
       this.context.start = event.start
+      let close = null
       switch (event.value) {
-      case '{{': this.putValue();   break
-      case '{%': this.statement();  break
+      case '{{': close = this.putValue();   break
+      case '{%': close = this.statement();  break
+      case '{#': close = this.comment(event); break
+      }
+
+      if (close.trim) {
+        this.source.skipSpace()
+      } else if (block && this.options.trimBlocks) {
+        if (this.source.chr === '\r' && this.source.code[this.source.offset + 1] === '\n') {
+          this.source.nextchr()
+        }
+        if (this.source.chr === '\n') {
+          this.source.nextchr()
+        }
       }
       start = this.source.location
     }
@@ -418,16 +576,17 @@ export class Parser {
   }
 
   putValue() {
-    let value = this.expression(['|', '}}'])
+    let value = this.expression(['}}'])
     let filters = []
 
-    while (this.peek().value === '|') {
-      this.next()
-      filters.push(this.expression(['|', '}}']))
+    // Filters applied to the whole value are listed in the placeable.
+    while (value.type === 'Filter') {
+      filters.unshift(value.filter)
+      value = value.value
     }
 
     let end = this.source.location
-    this.expect('Symbol', '}}')
+    let close = this.expect('Symbol', '}}')
 
     this.context.body.push({
       type: "PutValue",
@@ -436,6 +595,32 @@ export class Parser {
       start: this.context.start,
       end,
     })
+
+    return close
+  }
+
+  comment(open) {
+    let start = this.source.location
+    if (!this.source.seek('#}')) {
+      this.error(open, "Unclosed comment")
+    }
+    let end = this.source.location
+    this.source.nextchr()
+    this.source.nextchr()
+
+    let trim = end.offset > start.offset && this.source.code[end.offset - 1] === '-'
+    if (trim) {
+      end = this.source.locate(end.offset - 1, start)
+    }
+
+    this.comments.push({
+      type: 'Comment',
+      text: this.source.substr(start, end),
+      start: open.start,
+      end: this.source.location,
+    })
+
+    return { trim }
   }
 
   statement() {
@@ -448,24 +633,56 @@ export class Parser {
     case 'call':  this.call(id);  break
     case 'filter':this.filter(id);break
     case 'set':   this.set(id);   break
+    case 'with':  this.with(id);  break
+    case 'extends':this.extend(id);break
+    case 'include':this.include(id);break
+    case 'import':this.import(id); break
+    case 'from':  this.from(id);  break
+    case 'autoescape':this.autoescape(id);break
+    case 'break':
+    case 'continue':this.loopControl(id);break
     default:
       this.context.statement(this, id)
     }
 
-    this.expect('Symbol', '%}')
+    return this.expect('Symbol', '%}')
   }
 
   expression(terminators, kwTerminators=[]) {
     let yard = new Yard()
+    let braces = 0
+    let depth = 0
 
     this.peek(true)
     while (!this.eos) {
       let tok = this.peek(true)
-      if (tok.type === 'Symbol' && terminators.indexOf(tok.value) !== -1) {
-        break
+      if (tok.type === 'Symbol' && tok.value === '}}' && braces > 0) {
+        // Within a dictionary literal this is just its closing brace.
+        this.next()
+        let end = this.source.locate(tok.start.offset + 1, tok.start)
+        this.source.rewind(end)
+        tok = { type: 'Symbol', value: '}', start: tok.start, end }
+        this.putback(tok)
       }
-      if (tok.type === 'Identifier' && kwTerminators.indexOf(tok.value) !== -1) {
-        break
+      if (depth === 0) {
+        if (tok.type === 'Symbol' && terminators.indexOf(tok.value) !== -1) {
+          break
+        }
+        if (tok.type === 'Identifier' && kwTerminators.indexOf(tok.value) !== -1) {
+          break
+        }
+      }
+      if (tok.type === 'Symbol') {
+        if (OPENERS.indexOf(tok.value) !== -1) {
+          depth += 1
+        } else if (CLOSERS.indexOf(tok.value) !== -1) {
+          depth -= 1
+        }
+        if (tok.value === '{') {
+          braces += 1
+        } else if (tok.value === '}') {
+          braces -= 1
+        }
       }
       if (tok.type === 'String') {
         tok.value = this.source.substr(tok.start.offset + 1, tok.end.offset - 1)
@@ -507,15 +724,12 @@ export class Parser {
     }
   }
 
-  literal() {
-    let tok = this.next()
-    switch (tok.type) {
-    case 'Number':
-      return tok
-
-    default:
-      this.error(tok, "Expected a literal value")
+  literal(terminators) {
+    let value = this.expression(terminators)
+    if (!isConstant(value)) {
+      this.error(value, "Expected a literal value")
     }
+    return value
   }
 
   if(id) {
@@ -591,12 +805,18 @@ export class Parser {
   for(id) {
     let pattern = this.pattern()
     this.expect('Identifier', 'in')
-    let iterable = this.expression(['%}'], ['if'])
+    let iterable = this.expression(['%}'], ['if', 'recursive'])
 
     let filter = null
     if (this.check('Identifier', 'if')) {
       this.next()
-      filter = this.expression(['%}'])
+      filter = this.expression(['%}'], ['recursive'])
+    }
+
+    let recursive = false
+    if (this.check('Identifier', 'recursive')) {
+      this.next()
+      recursive = true
     }
 
     this.stack.push({
@@ -606,7 +826,7 @@ export class Parser {
         type: 'ForLoop',
         alternative: null,
         start: this.context.start,
-        pattern, iterable, filter,
+        pattern, iterable, filter, recursive,
       },
       body: [],
     })
@@ -638,6 +858,44 @@ export class Parser {
     this.context.body.push(template)
   }
 
+  loopControl(id) {
+    this.peek()
+    for (let i = this.stack.length - 1; i >= 0; --i) {
+      let { statement } = this.stack[i]
+
+      if (statement === forStatement) {
+        this.context.body.push({
+          type: id.value === 'break' ? 'Break' : 'Continue',
+          start: this.context.start,
+          end: this.source.location,
+        })
+        return
+      }
+
+      if (INLINE_STATEMENTS.indexOf(statement) === -1) {
+        break
+      }
+    }
+
+    this.error(id, `\`${id.value}\` outside of a loop`)
+  }
+
+  /**
+   * Autoescaping set by the innermost enclosing autoescape statement, or
+   * `null` if there is none.
+   */
+  escaping() {
+    for (let i = this.stack.length - 1; i >= 0; --i) {
+      let { template } = this.stack[i]
+
+      if (template && template.type === 'Autoescape') {
+        return template.enabled
+      }
+    }
+
+    return null
+  }
+
   macro(id) {
     let name = this.identifier()
 
@@ -649,7 +907,7 @@ export class Parser {
 
       if (this.check('Symbol', '=')) {
         this.next()
-        default_ = this.literal()
+        default_ = this.literal([',', ')'])
       }
 
       args.push({
@@ -674,6 +932,7 @@ export class Parser {
         type: 'Macro',
         start: this.context.start,
         name, args,
+        autoescape: this.escaping(),
       },
       body: [],
       statement: macroStatement,
@@ -687,13 +946,70 @@ export class Parser {
     this.macros[template.name.value] = template
   }
 
+  import(id) {
+    let template = this.string()
+    this.expect('Identifier', 'as')
+    let namespace = this.identifier()
+
+    this.imports.push({
+      type: 'Import',
+      start: this.context.start,
+      end: namespace.end,
+      names: [],
+      template, namespace,
+    })
+  }
+
+  from(id) {
+    let template = this.string()
+    this.expect('Identifier', 'import')
+
+    let names = []
+    for (;;) {
+      let name = this.identifier()
+      let alias = null
+
+      if (this.check('Identifier', 'as')) {
+        this.next()
+        alias = this.identifier()
+      }
+
+      names.push({
+        type: 'ImportName',
+        start: name.start,
+        end: (alias || name).end,
+        name, alias,
+      })
+
+      if (!this.check('Symbol', ',')) {
+        break
+      }
+      this.next()
+    }
+
+    this.imports.push({
+      type: 'Import',
+      start: this.context.start,
+      end: names[names.length - 1].end,
+      namespace: null,
+      template, names,
+    })
+  }
+
   call(id) {
+    let namespace = null
     let name = this.identifier()
 
+    if (this.check('Symbol', '.')) {
+      this.next()
+      namespace = name
+      name = this.identifier()
+    }
+
     let args = []
     this.expect('Symbol', '(')
-    while (!this.eos) {
-      args.push(this.expression([',', ')']))
+    while (!this.eos && !this.check('Symbol', ')')) {
+      args.push(keyword(this.expression([',', ')'])))
 
       if (this.check('Symbol', ')')) {
         break
@@ -701,6 +1017,7 @@ export class Parser {
       this.expect('Symbol', ',')
     }
     this.expect('Symbol', ')')
+    checkArguments(args)
 
     this.peek()
     this.stack.push({
@@ -708,6 +1025,7 @@ export class Parser {
       template: {
         type: 'MacroCall',
         macro: name,
+        namespace,
         start: this.context.start,
         args,
       },
@@ -744,8 +1062,38 @@ export class Parser {
     this.context.body.push(template)
   }
 
+  autoescape(id) {
+    let value = this.identifier()
+    let enabled = ['true', 'True'].indexOf(value.value) !== -1
+    if (!enabled && ['false', 'False'].indexOf(value.value) === -1) {
+      this.error(value, "Expected true or false")
+    }
+
+    this.peek()
+    this.stack.push({
+      scope: new Scope(this.source.location),
+      template: {
+        type: 'Autoescape',
+        start: this.context.start,
+        enabled,
+      },
+      body: [],
+      statement: autoescapeStatement,
+    })
+  }
+
+  endautoescape(id) {
+    let { scope, template, body, start } = this.stack.pop()
+    template.body = scope.generate(start, body)
+    template.end = this.source.location
+    this.context.body.push(template)
+  }
+
   set(id) {
     let pattern = this.pattern()
+    if (!this.check('Symbol', '=')) {
+      return this.setBlock(pattern)
+    }
     this.expect('Symbol', '=')
     let value = this.expression(['%}'])
     this.context.body.push({
@@ -754,18 +1102,132 @@ export class Parser {
       end: this.source.location,
       pattern, value,
     })
+    this.declare(this.context.scope, pattern)
+  }
+
+  setBlock(pattern) {
+    if (pattern.type === 'Unpack') {
+      this.error(pattern, "Cannot unpack the body of a block assignment")
+    }
+
+    let filters = []
+    while (this.check('Symbol', '|')) {
+      this.next()
+      filters.push(this.expression(['%}', '|']))
+    }
+
+    this.peek()
+    this.declare(this.context.scope, pattern)
+    this.stack.push({
+      scope: new Scope(this.source.location),
+      template: {
+        type: 'AssignBlock',
+        start: this.context.start,
+        pattern, filters,
+      },
+      body: [],
+      statement: setStatement,
+    })
+  }
 
+  endset(id) {
+    let { scope, template, body, start } = this.stack.pop()
+    template.body = scope.generate(start, body)
+    template.end = this.source.location
+    this.context.body.push(template)
+  }
+
+  declare(scope, pattern) {
     if (pattern.type === 'Variable') {
-      this.context.scope.var(pattern.name)
+      scope.var(pattern.name)
     } else if (pattern.type === 'Unpack') {
       for (let name of pattern.names) {
-        this.context.scope.var(name.name)
+        scope.var(name.name)
       }
     } else {
       throw new Error(`Unknown pattern type: ${pattern.type}`)
     }
   }
 
+  with(id) {
+    let targets = []
+    while (!this.eos && !this.check('Symbol', '%}')) {
+      let start = this.peek().start
+      let pattern = this.pattern()
+      this.expect('Symbol', '=')
+      let value = this.expression(['%}', ','])
+      targets.push({
+        type: 'Assign',
+        end: this.peek().start,
+        pattern, value, start,
+      })
+
+      if (this.check('Symbol', '%}')) {
+        break
+      }
+      this.expect('Symbol', ',')
+    }
+
+    this.peek()
+    let scope = new Scope(this.source.location)
+    for (let { pattern } of targets) {
+      this.declare(scope, pattern)
+    }
+
+    this.stack.push({
+      scope,
+      template: {
+        type: 'With',
+        start: this.context.start,
+        targets,
+      },
+      body: [],
+      statement: withStatement,
+    })
+  }
+
+  endwith(id) {
+    let { scope, template, body, start } = this.stack.pop()
+    template.body = scope.generate(start, body)
+    template.end = this.source.location
+    this.context.body.push(template)
+  }
+
+  extend(id) {
+    if (this.stack.length > 1) {
+      this.error(id, "Extends must be used at the top level")
+    }
+    if (this.extends !== null) {
+      this.error(id, "Template can only extend one template")
+    }
+    this.extends = this.string()
+  }
+
+  include(id) {
+    let template = this.expression(['%}'], ['ignore', 'with', 'without'])
+
+    let ignoreMissing = false
+    if (this.check('Identifier', 'ignore')) {
+      this.next()
+      this.expect('Identifier', 'missing')
+      ignoreMissing = true
+    }
+
+    let context = true
+    if (this.check('Identifier', 'with') || this.check('Identifier', 'without')) {
+      context = this.next().value === 'with'
+      this.expect('Identifier', 'context')
+    }
+
+    this.peek()
+    this.context.body.push({
+      type: 'Include',
+      start: this.context.start,
+      end: this.source.location,
+      template, ignoreMissing, context,
+    })
+  }
+
   block(id) {
     let name = this.identifier()
     this.peek()
@@ -790,12 +1252,85 @@ export class Parser {
     }, template))
 
     template.type = 'Block'
+    template.autoescape = this.escaping()
     template.body = scope.generate(start, body)
     this.blocks[template.name.value] = template
   }
 }
 
+/**
+ * Names of constants.
+ */
+const CONSTANTS = {
+  false: { type: 'Boolean', value: false },
+  False: { type: 'Boolean', value: false },
+  none: { type: 'None', value: null },
+  None: { type: 'None', value: null },
+  true: { type: 'Boolean', value: true },
+  True: { type: 'Boolean', value: true },
+}
+
+/**
+ * Symbols opening a nested expression.
+ */
+const OPENERS = ['(', '[', '{']
+
+/**
+ * Symbols closing a nested expression.
+ */
+const CLOSERS = [')', ']', '}']
+
+/**
+ * Check whether an expression is a constant, made only of literals.
+ */
+function isConstant(node) {
+  switch (node.type) {
+  case 'Boolean':
+  case 'None':
+  case 'Number':
+  case 'String':
+    return true
+  case 'UnOp':
+    return ['-', '+'].indexOf(node.op.value) !== -1 && node.argument.type === 'Number'
+  case 'List':
+  case 'Tuple':
+    return node.items.every(isConstant)
+  case 'Dict':
+    return node.items.every(item => isConstant(item.key) && isConstant(item.value))
+  default:
+    return false
+  }
+}
+
+/**
+ * Comparison operators, which can be chained as in `a < b < c`.
+ */
+const COMPARISONS = ['!=', '<', '<=', '==', '>', '>=', 'in', 'not in']
+
+/**
+ * Check whether an expression is a comparison.
+ */
+function isComparison(node) {
+  return node.type === 'Compare'
+    || node.type === 'BinOp' && COMPARISONS.indexOf(node.op.value) !== -1
+}
+
 const CallOp = Symbol('Call operator')
+const SubscriptOp = Symbol('Subscript operator')
+const TestArgOp = Symbol('Test argument operator')
+
+/**
+ * Operators which bind differently when used as prefix.
+ */
+const UNARY_OPERATORS = {
+  '+':  { precedence: 540, associativity: 'right' },
+  '-':  { precedence: 540, associativity: 'right' },
+}
+
+/**
+ * Words which can't begin an argument of a test given without parentheses.
+ */
+const TEST_ARG_STOP = ['and', 'else', 'if', 'in', 'is', 'not', 'or']
 
 const OPERATORS = {
   '!=': { precedence: 200, associativity: 'left' },
@@ -806,16 +1341,62 @@ const OPERATORS = {
   '-':  { precedence: 300, associativity: 'left' },
   '.':  { precedence: 600, associativity: 'left' },
   '/':  { precedence: 400, associativity: 'left' },
+  '//': { precedence: 400, associativity: 'left' },
   '<':  { precedence: 200, associativity: 'left' },
   '<=': { precedence: 200, associativity: 'left' },
-  '=':  { precedence: 100, associativity: 'left' },
+  '=':  { precedence: 30,  associativity: 'left' },
+  'and':{ precedence: 130, associativity: 'left' },
   '==': { precedence: 200, associativity: 'left' },
   '>':  { precedence: 200, associativity: 'left' },
   '>=': { precedence: 200, associativity: 'left' },
   '(':  { precedence: 0,   associativity: 'left' },
-  '|':  { precedence:  50, associativity: 'left' },
+  ':':  { precedence: 10,  associativity: 'left' },
+  'if': { precedence: 40,  associativity: 'right' },
+  'in': { precedence: 200, associativity: 'left' },
+  'not in': { precedence: 200, associativity: 'left' },
+  '[':  { precedence: 0,   associativity: 'left' },
+  '{':  { precedence: 0,   associativity: 'left' },
+  '|':  { precedence: 520, associativity: 'left' },
+  'is': { precedence: 520, associativity: 'left' },
   'not':{ precedence: 150, associativity: 'left' },
+  'or': { precedence: 120, associativity: 'left' },
+  '~':  { precedence: 350, associativity: 'left' },
   [CallOp]: { precedence: 550, associativity: 'left' },
+  [SubscriptOp]: { precedence: 550, associativity: 'left' },
+  [TestArgOp]: { precedence: 530, associativity: 'left' },
+}
+
+/**
+ * Turn a `name=value` call argument into a keyword argument.
+ */
+function keyword(arg) {
+  if (arg.type !== 'BinOp' || arg.op.value !== '=') {
+    return arg
+  }
+  if (arg.left.type !== 'Variable') {
+    throw new SyntaxError(arg.left, 'Expected an argument name')
+  }
+  return {
+    type: 'KeywordArgument',
+    name: arg.left.name,
+    value: arg.right,
+    start: arg.start,
+    end: arg.end,
+  }
+}
+
+/**
+ * Check that no positional argument follows a keyword argument.
+ */
+function checkArguments(args) {
+  let keywords = false
+  for (let arg of args) {
+    if (arg.type === 'KeywordArgument') {
+      keywords = true
+    } else if (keywords) {
+      throw new SyntaxError(arg, 'Positional argument follows keyword argument')
+    }
+  }
 }
 
 class Yard {
@@ -823,6 +1404,8 @@ class Yard {
     this.stack = []
     this.out = []
     this._state = null
+    // Expressions in parentheses, which don't continue a comparison chain.
+    this.grouped = new WeakSet()
   }
 
   push(op) {
@@ -842,7 +1425,7 @@ class Yard {
   }
 
   operator(op) {
-    let v = OPERATORS[op.value]
+    let v = op.unary && UNARY_OPERATORS[op.value] || OPERATORS[op.value]
     if (!v) {
       throw new SyntaxError(op, `${op.value} is not an operator`)
     }
@@ -872,6 +1455,78 @@ class Yard {
         end: filter.end,
         filter, value,
       })
+    } else if (op.type === 'Symbol' && op.value === ':') {
+      let value = this.back()
+      let key = this.back()
+      this.write({
+        type: 'Pair',
+        start: key.start,
+        end: value.end,
+        key, value,
+      })
+    } else if (op.type === 'Symbol' && op.value === 'if') {
+      let alternate = op.else ? this.back() : null
+      let test = this.back()
+      let consequent = this.back()
+      this.write({
+        type: 'Conditional',
+        start: consequent.start,
+        end: (alternate || test).end,
+        test, consequent, alternate,
+      })
+    } else if (op.type === 'Symbol' && op.value === 'is') {
+      let test = this.back()
+      let value = this.back()
+      this.write({
+        type: 'Test',
+        start: value.start,
+        end: test.end,
+        negated: op.negated,
+        test, value,
+      })
+    } else if (op.type === 'TestArg') {
+      let arg = this.back()
+      let test = this.back()
+      this.write({
+        type: 'FunctionCall',
+        function: test,
+        args: [arg],
+        start: test.start,
+        end: arg.end,
+      })
+    } else if (op.type === 'Symbol' && COMPARISONS.indexOf(op.value) !== -1) {
+      let right = this.back()
+      let left = this.back()
+      let operator = {
+        type: 'Operator',
+        value: op.value,
+        start: op.start,
+        end: op.end,
+      }
+
+      if (this.grouped.has(left) || !isComparison(left)) {
+        this.write({
+          type: 'BinOp',
+          op: operator,
+          start: left.start,
+          end: right.end,
+          left, right,
+        })
+      } else if (left.type === 'BinOp') {
+        this.write({
+          type: 'Compare',
+          start: left.start,
+          end: right.end,
+          left: left.left,
+          ops: [left.op, operator],
+          comparators: [left.right, right],
+        })
+      } else {
+        left.ops.push(operator)
+        left.comparators.push(right)
+        left.end = right.end
+        this.write(left)
+      }
     } else if (op.type === 'Symbol' && !op.unary) {
       let right = this.back()
       let left = this.back()
@@ -902,38 +1557,179 @@ class Yard {
         argument,
       })
     } else if (op.type === 'Call') {
-      let args = []
-      for (;;) {
-        let top = this.back()
-        if (top.type === 'ArgListGuard') break;
-        args.push(top)
-      }
+      let args = this.collect('ArgListGuard').map(keyword)
+      checkArguments(args)
+
       let fun = this.back()
       this.write({
         type: 'FunctionCall',
         function: fun,
-        args: args.reverse(),
+        args,
         start: fun.start,
-        end: this._end,
+        end: op.end,
+      })
+    } else if (op.type === 'Subscript') {
+      let key = this.back()
+      let object = this.back()
+      this.write({
+        type: 'Subscript',
+        start: object.start,
+        end: op.end,
+        object, key,
       })
     } else {
       throw new SyntaxError(op, `${op.type} should not be on the operator stack`)
     }
   }
 
-  writeTerminated(terminator) {
+  /**
+   * Pop values written since a guard.
+   *
+   * @param {String} guard type of the guard
+   *
+   * @return {Array} values in order they were written
+   */
+  collect(guard) {
+    let items = []
+    for (;;) {
+      let top = this.back()
+      if (top.type === guard) break;
+      if (top.type === 'Pair' && guard !== 'DictGuard') {
+        throw new SyntaxError(top, 'Unexpected key-value pair')
+      }
+      items.push(top)
+    }
+    return items.reverse()
+  }
+
+  /**
+   * Find the innermost open bracket.
+   *
+   * @return {Token|undefined}
+   */
+  opener() {
+    for (let i = this.stack.length - 1 ; i >= 0 ; --i) {
+      let op = this.stack[i]
+      if (op.type === 'Symbol' && OPENERS.indexOf(op.value) !== -1) {
+        return op
+      }
+    }
+  }
+
+  /**
+   * Collect key of a subscript, which may be a slice.
+   *
+   * @param {Token} open  the opening bracket
+   * @param {Token} close the closing bracket
+   *
+   * @return {Expression}
+   */
+  subscript(open, close) {
+    if (open.slice && this._state === null) {
+      this.write({ type: 'Omitted' })
+    }
+
+    let items = this.collect('SubscriptGuard')
+    if (!open.slice) {
+      if (items.length === 0) {
+        throw new SyntaxError(close, 'Expected a subscript')
+      }
+      if (items.length === 1 && !open.comma) {
+        return items[0]
+      }
+      return {
+        type: 'Tuple',
+        start: items[0].start,
+        end: items[items.length - 1].end,
+        items,
+      }
+    }
+
+    let parts = [null]
+    for (let item of items) {
+      if (item.type === 'SliceSeparator') {
+        parts.push(null)
+      } else if (parts[parts.length - 1] !== null || open.comma) {
+        throw new SyntaxError(item.start ? item : open, 'Invalid slice')
+      } else if (item.type !== 'Omitted') {
+        parts[parts.length - 1] = item
+      }
+    }
+    if (parts.length > 3) {
+      throw new SyntaxError(open, 'Invalid slice')
+    }
+
+    let [lower, upper=null, step=null] = parts
+    return {
+      type: 'Slice',
+      start: open.end,
+      end: close.start,
+      lower, upper, step,
+    }
+  }
+
+  /**
+   * Write operators up to the `if` of an inline if expression, and begin its
+   * alternative.
+   *
+   * @param {Token} tok the `else`
+   */
+  writeElse(tok) {
+    while (this.stack.length > 0) {
+      let top = this.pop()
+      if (top.type === 'Symbol' && top.value === 'if' && !top.else) {
+        top.else = true
+        this.push(top)
+        return
+      }
+      if (top.type === 'Symbol' && OPENERS.indexOf(top.value) !== -1) {
+        break
+      }
+      this.writePop(top)
+    }
+    throw new SyntaxError(tok, 'Unexpected else')
+  }
+
+  /**
+   * Apply a postfix operator, a call or a subscript, once its closing
+   * bracket was found.
+   *
+   * @param {Token} close the closing bracket
+   */
+  writePostfix(close) {
+    let op = this.pop()
+    op.end = close.end
+    this.writePop(op)
+  }
+
+  /**
+   * Write operators up to the innermost opening bracket.
+   *
+   * @param {String} opener expected bracket, or undefined to accept any
+   * @param {Token}  closer token which caused the brackets to close
+   *
+   * @return {Token} the opening bracket
+   */
+  writeTerminated(opener, closer) {
     while (this.stack.length > 0) {
       let top = this.pop()
-      if (top.value === terminator) return top;
+      if (top.type === 'Symbol' && OPENERS.indexOf(top.value) !== -1) {
+        if (opener !== undefined && top.value !== opener) {
+          throw new SyntaxError(closer, `Mismatched ${closer.value}`)
+        }
+        return top
+      }
 
       this.writePop(top)
     }
+    throw new SyntaxError(closer, `Unexpected ${closer.value}`)
   }
 
   writeOperator(op) {
     let opi = this.operator(op)
 
-    while (this.stack.length > 0) {
+    // Prefix operators have no left operand to complete.
+    while (!op.unary && this.stack.length > 0) {
       let top = this.pop()
       let topi = this.operator(top)
 
@@ -949,10 +1745,82 @@ class Yard {
     this.push(op)
   }
 
+  /**
+   * Begin an argument of a test given without parentheses, as in
+   * `n is divisibleby 3`.
+   */
+  writeTestArg() {
+    this.writeOperator({
+      type: 'TestArg',
+      value: TestArgOp,
+    })
+    this._state = null
+  }
+
   process(tok, peek) {
+    if (this._state === 'not-in') {
+      if (tok.type !== 'Identifier' || tok.value !== 'in') {
+        throw new SyntaxError(tok, 'Expected in')
+      }
+      this.stack[this.stack.length - 1].end = tok.end
+      this._state = null
+      return
+    }
+
     switch (tok.type) {
     case 'Identifier':
-      if (tok.value === 'not' && this._state !== 'value') {
+      if (this._state === 'test-arg' && TEST_ARG_STOP.indexOf(tok.value) === -1) {
+        this.writeTestArg()
+      }
+
+      if (tok.value === 'is' && this._state !== null && this._state !== 'test') {
+        this.writeOperator({
+          type: 'Symbol',
+          value: tok.value,
+          start: tok.start,
+          end: tok.end,
+          negated: false,
+        })
+        this._state = 'test'
+      } else if (tok.value === 'not' && this._state === 'test') {
+        this.stack[this.stack.length - 1].negated = true
+      } else if (this._state === 'test') {
+        this.write({
+          type: 'Variable',
+          name: tok.value,
+          start: tok.start,
+          end: tok.end,
+        })
+        this._state = 'test-arg'
+      } else if (tok.value === 'not'
+      && ['value', 'maybe-call', 'test-arg'].indexOf(this._state) !== -1) {
+        this.writeOperator({
+          type: 'Symbol',
+          value: 'not in',
+          start: tok.start,
+          end: tok.end,
+        })
+        this._state = 'not-in'
+      } else if (tok.value === 'else'
+      && ['value', 'maybe-call', 'test-arg'].indexOf(this._state) !== -1) {
+        this.writeElse(tok)
+        this._state = null
+      } else if (['and', 'if', 'in', 'or'].indexOf(tok.value) !== -1
+      && ['value', 'maybe-call', 'test-arg'].indexOf(this._state) !== -1) {
+        this.writeOperator({
+          type: 'Symbol',
+          value: tok.value,
+          start: tok.start,
+          end: tok.end,
+        })
+        this._state = null
+      } else if (CONSTANTS.hasOwnProperty(tok.value)) {
+        this.write(Object.assign({}, CONSTANTS[tok.value], {
+          start: tok.start,
+          end: tok.end,
+        }))
+        this._state = 'value'
+      } else if (tok.value === 'not' && this._state !== 'value') {
         this.writeOperator({
           type: 'Symbol',
           value: tok.value,
@@ -972,11 +1840,10 @@ class Yard {
       break
 
     case 'Number':
-      this.write(tok)
-      this._state = 'value'
-      break
-
     case 'String':
+      if (this._state === 'test-arg') {
+        this.writeTestArg()
+      }
       this.write(tok)
       this._state = 'value'
       break
@@ -984,32 +1851,129 @@ class Yard {
     case 'Symbol':
       switch (tok.value) {
       case '(':
-        if (this._state === 'maybe-call') {
+        if (this._state === 'maybe-call' || this._state === 'test-arg') {
           this.writeOperator({
             type: 'Call',
             value: CallOp,
           })
           this.write({ type: 'ArgListGuard' })
-          this._state = 'value'
+          tok.call = true
         } else {
-          this._state = null
+          this.write({ type: 'GroupGuard' })
         }
+        this._state = null
         this.push(tok)
         break
 
-      case ')':
-        this._end = tok.end
-        this.writeTerminated('(')
+      case ')': {
+        let open = this.writeTerminated('(', tok)
+        if (open.call) {
+          this.writePostfix(tok)
+        } else {
+          let items = this.collect('GroupGuard')
+          if (items.length === 1 && !open.comma) {
+            this.grouped.add(items[0])
+            this.write(items[0])
+          } else {
+            this.write({
+              type: 'Tuple',
+              start: open.start,
+              end: tok.end,
+              items,
+            })
+          }
+        }
         this._state = 'maybe-call'
         break
+      }
 
-      case ',':
-        this.push(this.writeTerminated('('))
+      case '[':
+        if (this._state === 'value' || this._state === 'maybe-call') {
+          this.writeOperator({
+            type: 'Subscript',
+            value: SubscriptOp,
+          })
+          this.write({ type: 'SubscriptGuard' })
+          tok.subscript = true
+          this.push(tok)
+          this._state = null
+          break
+        }
+        // fall through
+
+      case '{':
+        if (this._state === 'test-arg') {
+          this.writeTestArg()
+        }
+        this.write({ type: tok.value === '[' ? 'ListGuard' : 'DictGuard' })
+        this.push(tok)
         this._state = null
         break
 
+      case ']': {
+        let open = this.writeTerminated('[', tok)
+        if (open.subscript) {
+          this.write(this.subscript(open, tok))
+          this.writePostfix(tok)
+          this._state = 'maybe-call'
+        } else {
+          this.write({
+            type: 'List',
+            start: open.start,
+            end: tok.end,
+            items: this.collect('ListGuard'),
+          })
+          this._state = 'value'
+        }
+        break
+      }
+
+      case ':': {
+        let open = this.opener()
+        if (!open || !open.subscript) {
+          this.writeOperator(tok)
+          this._state = null
+          break
+        }
+        this.writeTerminated('[', tok)
+        if (this._state === null) {
+          this.write({ type: 'Omitted' })
+        }
+        this.write({ type: 'SliceSeparator' })
+        open.slice = true
+        this.push(open)
+        this._state = null
+        break
+      }
+
+      case '}': {
+        let open = this.writeTerminated('{', tok)
+        let items = this.collect('DictGuard')
+        for (let item of items) {
+          if (item.type !== 'Pair') {
+            throw new SyntaxError(item, 'Expected a key-value pair')
+          }
+        }
+        this.write({
+          type: 'Dict',
+          start: open.start,
+          end: tok.end,
+          items,
+        })
+        this._state = 'value'
+        break
+      }
+
+      case ',': {
+        let open = this.writeTerminated(undefined, tok)
+        open.comma = true
+        this.push(open)
+        this._state = null
+        break
+      }
+
       default:
-        if (this._state !== 'value' && this._state !== 'maybe-call') {
+        if (['value', 'maybe-call', 'test-arg'].indexOf(this._state) === -1) {
           tok.unary = true
         }
         this.writeOperator(tok)
@@ -1029,12 +1993,18 @@ class Yard {
       if (top.type === 'Symbol' && top.value === '(') {
         throw new SyntaxError(top, 'Mismatched parenthesis')
       }
+      if (top.type === 'Symbol' && OPENERS.indexOf(top.value) !== -1) {
+        throw new SyntaxError(top, `Unclosed ${top.value}`)
+      }
       this.writePop(top)
     }
 
     if (this.out.length > 1) {
       throw new SyntaxError(this.out[1], 'Expression produced more than one value')
     }
+    if (this.out.length > 0 && this.out[0].type === 'Pair') {
+      throw new SyntaxError(this.out[0], 'Unexpected key-value pair')
+    }
     return this.out[0]
   }
 }
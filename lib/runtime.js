@@ -0,0 +1,365 @@
+/**
+ * Support code imported by compiled templates.
+ */
+
+import { Markup, escape } from './markup'
+import { Keywords, filters } from './filters'
+import { tests } from './tests'
+import { iterate, str } from './values'
+
+export { Keywords, kwargs, parameters } from './filters'
+export { Markup, escape, markSafe } from './markup'
+export { contains, getattr, getitem, slice, truthy } from './values'
+
+/**
+ * Render a generator into a string.
+ *
+ * @param {Iterable} parts
+ *
+ * @return {String}
+ */
+export function render(parts) {
+  return Array.from(parts).join('')
+}
+
+/**
+ * Map arguments passed to a macro to the macro's argument names.
+ *
+ * @param {String[]}  names names of the macro's arguments
+ * @param {Arguments} args  positional arguments, possibly followed by
+ *                          {@link Keywords}
+ *
+ * @return {Object}
+ */
+export function macroArgs(names, args) {
+  args = Array.from(args)
+  let keywords = args[args.length - 1] instanceof Keywords ? args.pop() : {}
+  if (args.length > names.length) {
+    throw new TypeError(`Macro takes at most ${names.length} arguments`)
+  }
+
+  let values = {}
+  args.forEach((arg, inx) => {
+    values[names[inx]] = arg
+  })
+  for (let [name, arg] of Object.entries(keywords)) {
+    let index = names.indexOf(name)
+    if (index === -1) {
+      throw new TypeError(`Unexpected keyword argument ${name}`)
+    }
+    if (index < args.length) {
+      throw new TypeError(`Argument ${name} given more than once`)
+    }
+    values[name] = arg
+  }
+  return values
+}
+
+/**
+ * Join values into a string, as the `~` operator does.
+ *
+ * When either value is markup, the other one is escaped and the result is
+ * markup as well.
+ *
+ * @param {*} left
+ * @param {*} right
+ *
+ * @return {String|Markup}
+ */
+export function concat(left, right) {
+  if (left instanceof Markup || right instanceof Markup) {
+    return new Markup(str(escape(left)) + str(escape(right)))
+  }
+  return str(left) + str(right)
+}
+
+/**
+ * Divide and round down, as Python's `//` operator does.
+ *
+ * @param {Number} left
+ * @param {Number} right
+ *
+ * @return {Number}
+ */
+export function floordiv(left, right) {
+  if (right === 0) {
+    throw new RangeError('integer division or modulo by zero')
+  }
+  return Math.floor(left / right)
+}
+
+/**
+ * Marks items which were not fetched yet.
+ */
+const MISSING = Symbol('missing')
+
+/**
+ * The `loop` variable of for-loops, which also drives their iteration.
+ *
+ * Items are fetched one ahead, so that `last` and `nextitem` are known. Only
+ * `length` and properties derived from it need to fetch all items, unless the
+ * iterable already is a sequence.
+ */
+export class Loop {
+  /**
+   * @param {Iterable}      iterable items to loop over
+   * @param {Function|null} filter   called with each item, to decide whether to
+   *                                 loop over it
+   * @param {Number}        depth    nesting level of recursive loops, from 1
+   */
+  constructor(iterable, filter=null, depth=1) {
+    iterable = iterate(iterable)
+    this._iterator = iterable[Symbol.iterator]()
+    this._filter = filter
+    this._length = filter === null
+                && (typeof iterable === 'string' || Array.isArray(iterable))
+                 ? iterable.length
+                 : null
+    this._buffer = []
+    this._current = MISSING
+    this._previous = MISSING
+    this._changed = MISSING
+    this.index0 = -1
+    this.depth = depth
+  }
+
+  /**
+   * Advance to the next item.
+   *
+   * @return {{ done: Boolean, value: * }}
+   */
+  next() {
+    if (!this._fetch()) {
+      return { done: true, value: undefined }
+    }
+    this._previous = this._current
+    this._current = this._buffer.shift()
+    this.index0 += 1
+    return { done: false, value: this._current }
+  }
+
+  /**
+   * Get the next item passing the filter from the iterable.
+   *
+   * @return {*} the item, or MISSING if there are no more items
+   */
+  _pull() {
+    for (;;) {
+      let item = this._iterator.next()
+      if (item.done) return MISSING;
+      if (this._filter === null || this._filter(item.value)) {
+        return item.value
+      }
+    }
+  }
+
+  /**
+   * Ensure there is an item in the buffer.
+   *
+   * @return {Boolean} false if there are no more items
+   */
+  _fetch() {
+    if (this._buffer.length === 0) {
+      let item = this._pull()
+      if (item === MISSING) return false;
+      this._buffer.push(item)
+    }
+    return true
+  }
+
+  get index() {
+    return this.index0 + 1
+  }
+
+  get depth0() {
+    return this.depth - 1
+  }
+
+  get first() {
+    return this.index0 === 0
+  }
+
+  get last() {
+    return !this._fetch()
+  }
+
+  get length() {
+    if (this._length === null) {
+      for (let item = this._pull() ; item !== MISSING ; item = this._pull()) {
+        this._buffer.push(item)
+      }
+      this._length = this.index0 + 1 + this._buffer.length
+    }
+    return this._length
+  }
+
+  get revindex() {
+    return this.length - this.index0
+  }
+
+  get revindex0() {
+    return this.length - this.index
+  }
+
+  get previtem() {
+    return this._previous === MISSING ? undefined : this._previous
+  }
+
+  get nextitem() {
+    return this._fetch() ? this._buffer[0] : undefined
+  }
+
+  /**
+   * Pick one of the arguments, going through them in turn with each item.
+   */
+  cycle(...values) {
+    if (values.length === 0) {
+      throw new TypeError('no items for cycling given')
+    }
+    return values[this.index0 % values.length]
+  }
+
+  /**
+   * Check whether the arguments differ from those of the previous call.
+   */
+  changed(...values) {
+    let last = this._changed
+    this._changed = values
+    return last === MISSING
+      || last.length !== values.length
+      || values.some((value, inx) => value !== last[inx])
+  }
+}
+
+/**
+ * Registry of filters and tests available to templates.
+ *
+ * Filters are called with the environment as `this`.
+ */
+export class Environment {
+  constructor(filters={}, tests={}) {
+    this.filters = {}
+    this.tests = Object.assign({}, tests)
+
+    for (let name of Object.keys(filters)) {
+      this.addFilter(name, filters[name])
+    }
+  }
+
+  /**
+   * Register a filter.
+   *
+   * Filters registered at runtime must also be declared to the plugin through
+   * its `filters` option, so that templates using them compile.
+   *
+   * @param {String}   name
+   * @param {Function} filter called with the filtered value
+   *
+   * @return {Environment} this
+   */
+  addFilter(name, filter) {
+    this.filters[name] = filter.bind(this)
+    return this
+  }
+
+  /**
+   * Register a test.
+   *
+   * Like filters, tests registered at runtime must also be declared to the
+   * plugin, through its `tests` option.
+   *
+   * @param {String}   name
+   * @param {Function} test called with the tested value
+   *
+   * @return {Environment} this
+   */
+  addTest(name, test) {
+    this.tests[name] = test
+    return this
+  }
+}
+
+/**
+ * The environment used by compiled templates.
+ */
+export const environment = new Environment(filters, tests)
+
+/**
+ * Extend block chains with template's own blocks.
+ *
+ * Each chain lists implementations of a block starting from the most derived
+ * one, so blocks of a template are appended after those of its descendants.
+ *
+ * @param {Object} blocks block chains passed down from descendants
+ * @param {Object} own    blocks defined by the template
+ *
+ * @return {Object} new block chains
+ */
+export function inherit(blocks, own) {
+  let chains = Object.assign({}, blocks)
+  for (let name of Object.keys(own)) {
+    chains[name] = (chains[name] || []).concat([own[name]])
+  }
+  return chains
+}
+
+/**
+ * Render a block.
+ *
+ * Block's context is extended with `super`, which renders the next
+ * implementation in chain, and in turn has its own `super`.
+ *
+ * @param {Object} blocks  block chains
+ * @param {String} name    name of the block to render
+ * @param {Object} context rendering context
+ * @param {Number} level   position in block's chain to render
+ */
+export function* block(blocks, name, context, level=0) {
+  let ctx = Object.assign({}, context, {
+    super: parent(blocks, name, context, level + 1),
+  })
+  yield* blocks[name][level](ctx, blocks)
+}
+
+function parent(blocks, name, context, level) {
+  if (level >= blocks[name].length) {
+    return undefined
+  }
+
+  let fn = () => new Markup(render(block(blocks, name, context, level)))
+  Object.defineProperty(fn, 'super', {
+    get: () => parent(blocks, name, context, level + 1),
+  })
+  return fn
+}
+
+/**
+ * Render first of included templates.
+ *
+ * Templates which could not be found are represented by `null`. Since there
+ * is no loader at runtime, names of templates can't be included, and any
+ * other value than a template counts as missing.
+ *
+ * @param {Object|[Object]} templates candidate templates
+ * @param {Object}          context   rendering context
+ * @param {Boolean}         ignoreMissing
+ */
+export function* include(templates, context, ignoreMissing=false) {
+  templates = [].concat(templates)
+
+  let name = templates.find(template => typeof template === 'string')
+  if (name !== undefined) {
+    throw new TypeError(`Cannot include ${name}: a template object is required, not a string`)
+  }
+
+  for (let template of templates) {
+    if (template && typeof template.generate === 'function') {
+      yield* template.generate(context)
+      return
+    }
+  }
+
+  if (!ignoreMissing) {
+    throw new Error('Included template does not exist')
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Tests built into the runtime.
+ */
+
+import { Markup } from './markup'
+import { contains, isMapping } from './values'
+
+const defined = value => value !== undefined
+const string = value => typeof value === 'string' || value instanceof Markup
+const number = value => typeof value === 'number'
+const integer = value => Number.isInteger(value)
+
+const eq = (value, other) => value === other
+const ne = (value, other) => value !== other
+const lt = (value, other) => value < other
+const le = (value, other) => value <= other
+const gt = (value, other) => value > other
+const ge = (value, other) => value >= other
+
+export const tests = {
+  '!=': ne,
+  '<': lt,
+  '<=': le,
+  '==': eq,
+  '>': gt,
+  '>=': ge,
+  boolean: value => typeof value === 'boolean',
+  callable: value => typeof value === 'function',
+  defined,
+  divisibleby: (value, num) => value % num === 0,
+  eq,
+  equalto: eq,
+  escaped: value => value instanceof Markup,
+  even: value => integer(value) && value % 2 === 0,
+  false: value => value === false,
+  float: value => number(value) && !integer(value),
+  ge,
+  greaterthan: gt,
+  gt,
+  in: (value, seq) => contains(seq, value),
+  integer,
+  iterable: value => value !== null && value !== undefined
+    && (typeof value[Symbol.iterator] === 'function' || isMapping(value)),
+  le,
+  lessthan: lt,
+  lower: value => string(value) && String(value) === String(value).toLowerCase(),
+  lt,
+  mapping: isMapping,
+  ne,
+  none: value => value === null,
+  number,
+  odd: value => integer(value) && Math.abs(value % 2) === 1,
+  sameas: (value, other) => Object.is(value, other),
+  sequence: value => string(value) || Array.isArray(value) || isMapping(value),
+  string,
+  true: value => value === true,
+  undefined: value => value === undefined,
+  upper: value => string(value) && String(value) === String(value).toUpperCase(),
+}
@@ -0,0 +1,303 @@
+/**
+ * Jinja semantics of JavaScript values, shared by filters and tests.
+ */
+
+import { Markup } from './markup'
+
+/**
+ * Convert a value to a string the way it would be rendered.
+ *
+ * @param {*} value
+ *
+ * @return {String}
+ */
+export function str(value) {
+  return value === null || value === undefined ? '' : String(value)
+}
+
+/**
+ * Check whether a value is a mapping, that is a `Map` or a plain object.
+ *
+ * @param {*} value
+ *
+ * @return {Boolean}
+ */
+export function isMapping(value) {
+  if (value instanceof Map) {
+    return true
+  }
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+  let proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Check whether a value is true, the way Python would see it.
+ *
+ * Besides values which are false in JavaScript, empty strings, arrays, maps,
+ * sets and plain objects are false as well.
+ *
+ * @param {*} value
+ *
+ * @return {Boolean}
+ */
+export function truthy(value) {
+  if (!value) {
+    return false
+  }
+  if (value instanceof Markup) {
+    return value.value !== ''
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0
+  }
+  if (value instanceof Map || value instanceof Set) {
+    return value.size > 0
+  }
+  if (isMapping(value)) {
+    return Object.keys(value).length > 0
+  }
+  return true
+}
+
+/**
+ * Iterate over items of a collection.
+ *
+ * Maps and plain objects are iterated through their `[key, value]` entries.
+ *
+ * @param {*} value
+ *
+ * @return {Iterable}
+ */
+export function iterate(value) {
+  if (value === null || value === undefined) {
+    return []
+  }
+  if (value instanceof Markup) {
+    return value.value
+  }
+  if (isMapping(value) && !(value instanceof Map)) {
+    return Object.entries(value)
+  }
+  if (typeof value[Symbol.iterator] !== 'function') {
+    throw new TypeError(`${value} is not iterable`)
+  }
+  return value
+}
+
+/**
+ * Collect items of a collection into a new array.
+ *
+ * @param {*} value
+ *
+ * @return {Array}
+ */
+export function list(value) {
+  return Array.from(iterate(value))
+}
+
+/**
+ * Get an attribute or item of a value.
+ *
+ * @param {*}      value
+ * @param {String} name
+ *
+ * @return {*}
+ */
+export function attribute(value, name) {
+  if (value === null || value === undefined) {
+    return undefined
+  }
+  if (value instanceof Map) {
+    return value.get(name)
+  }
+  return value[name]
+}
+
+/**
+ * Look up an attribute of a value, as in `value.name`.
+ *
+ * Maps which have no such property are looked up by key instead.
+ *
+ * @param {*}      value
+ * @param {String} name
+ *
+ * @return {*}
+ */
+export function getattr(value, name) {
+  if (value === null || value === undefined) {
+    return undefined
+  }
+  let result = value[name]
+  if (result === undefined && value instanceof Map) {
+    result = value.get(name)
+  }
+  return result
+}
+
+/**
+ * Look up an item of a value, as in `value[key]`.
+ *
+ * Negative indices count from the end of a sequence. Maps are looked up by
+ * key first, and fall back to their properties.
+ *
+ * @param {*} value
+ * @param {*} key
+ *
+ * @return {*}
+ */
+export function getitem(value, key) {
+  if (value === null || value === undefined) {
+    return undefined
+  }
+  if (value instanceof Map) {
+    return value.has(key) ? value.get(key) : value[key]
+  }
+  if (value instanceof Markup) {
+    let item = getitem(value.value, key)
+    return item === undefined ? undefined : new Markup(item)
+  }
+  if (typeof key === 'number' && key < 0
+  && (typeof value === 'string' || Array.isArray(value))) {
+    key += value.length
+  }
+  return value[key]
+}
+
+/**
+ * Slice a sequence, the way Python does.
+ *
+ * @param {*}           value
+ * @param {Number|null} lower first index, inclusive
+ * @param {Number|null} upper last index, exclusive
+ * @param {Number|null} step
+ *
+ * @return {String|Markup|Array}
+ */
+export function slice(value, lower=null, upper=null, step=null) {
+  if (value instanceof Markup) {
+    return new Markup(slice(value.value, lower, upper, step))
+  }
+
+  let seq = typeof value === 'string' || Array.isArray(value) ? value : list(value)
+  let length = seq.length
+  step = step === null ? 1 : step
+  if (step === 0) {
+    throw new RangeError('slice step cannot be zero')
+  }
+
+  let bound = (index, fallback, min, max) => {
+    if (index === null) return fallback;
+    if (index < 0) index += length;
+    return Math.min(Math.max(index, min), max)
+  }
+
+  let indices = []
+  if (step > 0) {
+    lower = bound(lower, 0, 0, length)
+    upper = bound(upper, length, 0, length)
+    if (step === 1) {
+      return seq.slice(lower, Math.max(lower, upper))
+    }
+    for (let i = lower ; i < upper ; i += step) {
+      indices.push(i)
+    }
+  } else {
+    lower = bound(lower, length - 1, -1, length - 1)
+    upper = bound(upper, -1, -1, length - 1)
+    for (let i = lower ; i > upper ; i += step) {
+      indices.push(i)
+    }
+  }
+
+  let items = indices.map(i => seq[i])
+  return typeof seq === 'string' ? items.join('') : items
+}
+
+/**
+ * Create a function getting an attribute of its argument.
+ *
+ * The attribute may be a dotted path of attributes, in which integers index
+ * into sequences, or a number indexing the argument itself.
+ *
+ * @param {String|Number} path
+ * @param {*}             fallback returned in place of undefined attributes
+ *
+ * @return {Function}
+ */
+export function getter(path, fallback) {
+  let parts = typeof path === 'number'
+            ? [path]
+            : String(path).split('.').map(part => /^\d+$/.test(part) ? Number(part) : part)
+
+  return item => {
+    for (let part of parts) {
+      item = attribute(item, part)
+    }
+    return item === undefined ? fallback : item
+  }
+}
+
+/**
+ * Compare two values, the way Python orders them.
+ *
+ * @return {Number} negative, zero or positive
+ */
+export function compare(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < a.length && i < b.length; ++i) {
+      let order = compare(a[i], b[i])
+      if (order !== 0) return order;
+    }
+    return a.length - b.length
+  }
+  if (a instanceof Markup) a = a.value;
+  if (b instanceof Markup) b = b.value;
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Lower-case strings, leaving other values untouched.
+ *
+ * @param {*} value
+ *
+ * @return {*}
+ */
+export function ignoreCase(value) {
+  if (value instanceof Markup) {
+    value = value.value
+  }
+  return typeof value === 'string' ? value.toLowerCase() : value
+}
+
+/**
+ * Check whether a container holds an item.
+ *
+ * Strings contain their substrings, maps and plain objects their keys, and
+ * other collections their items.
+ *
+ * @param {*} container
+ * @param {*} item
+ *
+ * @return {Boolean}
+ */
+export function contains(container, item) {
+  if (container instanceof Markup) {
+    container = container.value
+  }
+  if (typeof container === 'string') {
+    return container.includes(str(item))
+  }
+  if (container instanceof Map || container instanceof Set) {
+    return container.has(item)
+  }
+  if (isMapping(container)) {
+    return Object.prototype.hasOwnProperty.call(container, item)
+  }
+  if (Array.isArray(container)) {
+    return container.includes(item)
+  }
+  return list(container).includes(item)
+}
@@ -5,7 +5,7 @@ export default {
     { dest: 'dist/rollup-jinja.es.js',  format: 'es' },
   ],
   external: [
-    'astring', 'util', 'rollup-pluginutils',
+    'astring', 'fs', 'path', 'util', 'rollup-pluginutils',
   ],
   sourceMap: true,
 }
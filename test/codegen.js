@@ -0,0 +1,289 @@
+import { generate } from 'astring'
+
+import { compile } from '../lib'
+import { SyntaxError } from '../lib/parse'
+
+describe('Code generation', () => {
+  describe('filters', () => {
+    it('rejects unknown filters', () => {
+      (() => compile('{{ a | nope }}', 'test'))
+        .should.throw(SyntaxError, '(1:7) Unknown filter nope')
+    })
+
+    it('rejects names inherited from Object', () => {
+      (() => compile('{{ a | toString }}', 'test'))
+        .should.throw(SyntaxError, 'Unknown filter toString')
+      ;(() => compile('{{ a | toString }}', 'test', { filters: { nope: true } }))
+        .should.throw(SyntaxError, 'Unknown filter toString')
+    })
+
+    it('accepts project filters', () => {
+      compile('{{ a | nope }}', 'test', { filters: { nope: true } })
+      compile('{{ a | nope }}', 'test', { filters: { nope: './nope' } })
+    })
+
+    it('passes arguments after the filtered value', () => {
+      let code = generate(compile('{{ a | f(1, b=2) }}', 'test', {
+        filters: { f: true },
+      }))
+      code.should.contain('.filters.f(__j_ctx_0.a, 1, __j_import_')
+      code.should.match(/kwargs as (__j_import_\d+)[^]*\1\(\{\s*b: 2\s*\}\)/)
+    })
+
+    it('binds filters to the preceding operand', () => {
+      let code = generate(compile('{% if xs|length > 1 %}{{ 1 + xs|length }}{% endif %}', 'test'))
+      code.should.match(/if \(__j_import_\d+\.filters\.length\(__j_ctx_0\.xs\) > 1\)/)
+      code.should.match(/yield 1 \+ __j_import_\d+\.filters\.length\(__j_ctx_0\.xs\);/)
+    })
+
+    it('chains filters in filter blocks', () => {
+      let code = generate(compile('{% filter upper|truncate(3) %}abcd{% endfilter %}', 'test'))
+      code.should.match(/\.filters\.truncate\(__j_import_\d+\.filters\.upper\(__j_import_\d+\(\(function\* \(\) \{[^]*\}\)\(\)\)\), 3\)/)
+    })
+
+    it('checks block filters', () => {
+      (() => compile('{% filter nope %}a{% endfilter %}', 'test'))
+        .should.throw(SyntaxError, 'Unknown filter nope')
+    })
+  })
+  describe('tests', () => {
+    it('calls tests from the environment', () => {
+      let code = generate(compile('{% if a is not divisibleby 3 %}{% endif %}', 'test'))
+      code.should.contain('!__j_import_2.tests.divisibleby(__j_ctx_0.a, 3)')
+    })
+
+    it('rejects unknown tests', () => {
+      (() => compile('{% if a is nope %}{% endif %}', 'test'))
+        .should.throw(SyntaxError, '(1:11) Unknown test nope')
+    })
+
+    it('rejects names inherited from Object', () => {
+      (() => compile('{% if a is constructor %}{% endif %}', 'test'))
+        .should.throw(SyntaxError, 'Unknown test constructor')
+    })
+
+    it('accepts project tests', () => {
+      let code = generate(compile('{% if a is nope %}{% endif %}', 'test', {
+        tests: { nope: './nope' },
+      }))
+      code.should.contain('import __j_import_2 from "./nope"')
+    })
+  })
+  describe('boolean operators', () => {
+    it('short-circuits', () => {
+      let code = generate(compile('{{ a and b or c }}', 'test'))
+      code.should.match(/return (__j_import_\d+)\((__j_tmp_\d+) = __j_ctx_0\.a\) \? __j_ctx_0\.b : \2;/)
+      code.should.match(/return __j_import_\d+\((__j_tmp_\d+) = \(__j_tmp_\d+ => \{[^]*\}\)\(\)\) \? \1 : __j_ctx_0\.c;/)
+    })
+
+    it('keeps boolean operands as they are', () => {
+      let code = generate(compile('{{ a is odd and b }}', 'test'))
+      code.should.match(/yield __j_import_\d+\.tests\.odd\(__j_ctx_0\.a\) && __j_ctx_0\.b;/)
+    })
+
+    it('checks conditions like Python', () => {
+      let code = generate(compile('{% if not a %}{% elif b %}{% endif %}', 'test'))
+      code.should.match(/if \(!(__j_import_\d+)\(__j_ctx_0\.a\)\)/)
+      code.should.match(/if \((__j_import_\d+)\(__j_ctx_0\.b\)\)/)
+    })
+
+    it('uses booleans as they are', () => {
+      let code = generate(compile('{% if a == 1 and b is odd %}{% endif %}', 'test'))
+      code.should.contain('if (__j_ctx_0.a === 1 && __j_import_')
+    })
+  })
+  describe('subscripts', () => {
+    it('looks up attributes and items through the runtime', () => {
+      let code = generate(compile("{{ a.b[0][1:] }}", 'test'))
+      code.should.match(/(__j_import_\d+)\((__j_import_\d+)\((__j_import_\d+)\(__j_ctx_0\.a, "b"\), 0\), 1, null, null\)/)
+    })
+
+    it('looks up items by numeric attributes', () => {
+      let code = generate(compile("{{ a.0.b }}", 'test'))
+      code.should.match(/getitem as (__j_import_\d+)[^]*__j_import_\d+\(\1\(__j_ctx_0\.a, 0\), "b"\)/)
+    })
+
+    it('calls methods on their objects', () => {
+      let code = generate(compile("{{ a.b(1) }}{{ a['c']() }}", 'test'))
+      code.should.contain('__j_ctx_0.a.b(1)')
+      code.should.contain('__j_ctx_0.a["c"]()')
+    })
+  })
+  describe('Python operators', () => {
+    it('implements operators through the runtime', () => {
+      let code = generate(compile("{{ a ~ b }}{{ a // b }}{{ a in b }}{{ a not in b }}", 'test'))
+      code.should.match(/import \{.*concat as (__j_import_\d+).*\}/)
+      code.should.match(/__j_import_\d+\(__j_ctx_0\.a, __j_ctx_0\.b\);\s+yield __j_import_\d+\(__j_ctx_0\.a, __j_ctx_0\.b\)/)
+      code.should.match(/yield (__j_import_\d+)\(__j_ctx_0\.b, __j_ctx_0\.a\);\s+yield !\1\(__j_ctx_0\.b, __j_ctx_0\.a\)/)
+    })
+
+    it('raises negated bases to a power', () => {
+      let code = generate(compile("{{ -a ** b }}{{ a ** -b }}", 'test'))
+      code.should.match(/yield Math\.pow\(-__j_ctx_0\.a, __j_ctx_0\.b\);\s+yield __j_ctx_0\.a \*\* -__j_ctx_0\.b;/)
+    })
+  })
+  describe('comparison chains', () => {
+    it('evaluates middle operands once', () => {
+      let code = generate(compile('{% if 0 <= a.b < c %}{% endif %}', 'test'))
+      code.should.match(/\((__j_tmp_\d+) => \{\s*return 0 <= \(\1 = __j_import_\d+\(__j_ctx_0\.a, "b"\)\) && \1 < __j_ctx_0\.c;\s*\}\)\(\)/)
+    })
+
+    it('uses chains as conditions as they are', () => {
+      let code = generate(compile('{% if not 1 < a < 3 %}{% endif %}', 'test'))
+      code.should.match(/if \(!\(__j_tmp_\d+ => \{/)
+    })
+  })
+  describe('inline if expressions', () => {
+    it('checks conditions like Python', () => {
+      let code = generate(compile("{{ 'a' if b else 'c' }}", 'test'))
+      code.should.match(/__j_import_\d+\(__j_ctx_0\.b\) \? "a" : "c"/)
+    })
+
+    it('evaluates to undefined without else', () => {
+      let code = generate(compile("{{ 'a' if b == 1 }}", 'test'))
+      code.should.contain('__j_ctx_0.b === 1 ? "a" : undefined')
+    })
+  })
+  describe('for loops', () => {
+    it('exposes the loop variable', () => {
+      let code = generate(compile('{% for x in xs %}{{ loop.index }}{% endfor %}', 'test'))
+      code.should.match(/let (__j_loop_\d+) = new __j_import_\d+\(__j_ctx_0\.xs\);/)
+      code.should.match(/(__j_ctx_\d+)\.loop = __j_loop_\d+;\s+\1\.x = /)
+    })
+
+    it('filters items before counting them', () => {
+      let code = generate(compile('{% for x in xs if x %}{% else %}{% endfor %}', 'test'))
+      code.should.match(/new __j_import_\d+\(__j_ctx_0\.xs, __j_item => \{/)
+      code.should.match(/if \(__j_loop_\d+\.index0 < 0\)/)
+    })
+
+    it('compiles loop controls', () => {
+      let code = generate(compile('{% for x in xs %}{% if x %}{% break %}{% endif %}{% continue %}{% endfor %}', 'test'))
+      code.should.match(/if \(__j_import_\d+\(__j_ctx_\d+\.x\)\) \{\s*break;\s*\}\s*continue;/)
+    })
+  })
+
+  describe('unpacking', () => {
+    it('unpacks loop items', () => {
+      let code = generate(compile('{% for k, v in d|dictsort %}{{ k }}{% endfor %}{% for grouper, list in xs|groupby("a") %}{% endfor %}', 'test'))
+      code.should.match(/\[(__j_ctx_\d+)\.k, \1\.v\] = __j_item_\d+\.value;/)
+      code.should.match(/\[(__j_ctx_\d+)\.grouper, \1\.list\] = __j_item_\d+\.value;/)
+    })
+
+    it('unpacks assigned values', () => {
+      let code = generate(compile('{% set a, b = pair %}', 'test'))
+      code.should.match(/\[(__j_ctx_\d+)\.a, \1\.b\] = \1\.pair;/)
+    })
+  })
+
+  describe('with blocks', () => {
+    it('evaluates values in the enclosing scope', () => {
+      let code = generate(compile('{% with a = 1, b = a %}{{ b }}{% endwith %}', 'test'))
+      code.should.match(/let (__j_ctx_\d+) = Object\.assign\(\{[^}]*\}, __j_ctx_0\);\s+\1\.a = 1;\s+\1\.b = __j_ctx_0\.a;/)
+    })
+  })
+
+  describe('block assignment', () => {
+    it('keeps block assignments in derived templates', () => {
+      let code = generate(compile('{% extends "base.html" %}{% set t %}X{% endset %}text', 'test'))
+      code.should.match(/(__j_ctx_\d+)\.t = __j_import_\d+\(\(function\* \(\) \{\s*yield "X";\s*\}\)\(\)\);\s*yield\* __j_import_\d+\.generate\(\1, __j_blocks\);/)
+      code.should.not.contain('"text"')
+    })
+
+    it('renders the body to markup when autoescaping', () => {
+      let code = generate(compile('{% set a | trim %}b{% endset %}', 'test', { autoescape: true }))
+      code.should.match(/__j_ctx_\d+\.a = __j_import_\d+\.filters\.trim\(__j_import_\d+\(__j_import_\d+\(\(function\* \(\) \{/)
+      code.should.match(/markSafe as (__j_import_\d+)[^]*\.trim\(\1\(/)
+    })
+  })
+
+  describe('autoescape', () => {
+    it('applies to blocks and macros defined within', () => {
+      let code = generate(compile('{% autoescape false %}{% block b %}{{ x }}{% endblock %}{% macro m() %}{{ x }}{% endmacro %}{% endautoescape %}', 'test', { autoescape: true }))
+      code.should.match(/\*b\(__j_ctx_\d+, __j_blocks\) \{\s*yield __j_ctx_\d+\.x;/)
+      code.should.match(/const __j_macro_m = function\* \(\) \{[^]*yield __j_ctx_\d+\.x;/)
+      code.should.not.contain('escape')
+    })
+  })
+
+  describe('recursive loops', () => {
+    it('compiles loops into generators', () => {
+      let code = generate(compile('{% for x in xs recursive %}{{ loop(x.children) }}{% endfor %}', 'test'))
+      code.should.match(/let (__j_recurse_\d+) = function\* \(__j_iterable, __j_depth\) \{/)
+      code.should.match(/yield\* (__j_recurse_\d+)\(__j_ctx_0\.xs, 1\)/)
+      code.should.match(/new __j_import_\d+\(__j_iterable, null, __j_depth\)/)
+      code.should.match(/__j_recurse_\d+\(__j_import_\d+\(__j_ctx_\d+\.x, "children"\), __j_loop_\d+\.depth \+ 1\)/)
+    })
+
+    it('rejects calling non-recursive loops', () => {
+      (() => compile('{% for x in xs %}{{ loop(x) }}{% endfor %}', 'test'))
+        .should.throw(SyntaxError, 'Tried to call non-recursive loop')
+    })
+  })
+
+  describe('macros', () => {
+    it('maps arguments to their names at runtime', () => {
+      let code = generate(compile('{% macro input(name, class="x") %}{{ class }}{% endmacro %}', 'test'))
+      code.should.match(/let (__j_ctx_\d+) = Object\.assign\(\{\s*name: undefined,\s*class: "x"\s*\}, __j_import_\d+\(\["name", "class"\], arguments\)\);\s+yield \1\.class;/)
+    })
+
+    it('exports each macro on its own', () => {
+      let code = generate(compile('{% macro a() %}{% endmacro %}{% macro b() %}{% endmacro %}', 'test'))
+      code.should.match(/const __j_macro_a = function\* \(\) \{/)
+      code.should.contain('export {__j_macro_a as a, __j_macro_b as b};')
+    })
+
+    it('imports only the macros used', () => {
+      let code = generate(compile('{% import "f.html" as f %}{% from "f.html" import a as b %}{% call f.c() %}{% endcall %}{% call b() %}{% endcall %}', 'test'))
+      code.should.match(/import \* as (__j_import_\d+) from "f\.html";/)
+      code.should.match(/import \{a as (__j_import_\d+)\} from "f\.html";/)
+      code.should.match(/yield\* __j_import_\d+\.c\(\);\s+yield\* __j_import_\d+\(\);/)
+    })
+
+    it('passes keyword arguments to macro calls', () => {
+      let code = generate(compile('{% macro m(a, b) %}{% endmacro %}{% call m(1, b=2) %}{% endcall %}', 'test'))
+      code.should.match(/yield\* __j_macro_m\(1, __j_import_\d+\(\{\s*b: 2\s*\}\)\);/)
+    })
+
+    it('checks arguments of local macro calls', () => {
+      let call = args => () => compile(`{% macro m(a, b) %}{% endmacro %}{% call m(${args}) %}{% endcall %}`, 'test')
+      call('c=1').should.throw(SyntaxError, '(1:43) Unknown argument c')
+      call('1, a=2').should.throw(SyntaxError, 'Argument a given more than once')
+      call('1, 2, 3').should.throw(SyntaxError, 'Macro m takes at most 2 arguments')
+    })
+
+    it('binds imported macros in expressions', () => {
+      let code = generate(compile('{% import "f.html" as f %}{% from "f.html" import a %}{{ f.b(1) }}{{ a(c=2) }}', 'test', { autoescape: true }))
+      code.should.match(/import \* as (__j_import_\d+) from "f\.html";[^]*render as (__j_import_\d+), markSafe as (__j_import_\d+)[^]*yield __j_import_\d+\(\3\(\2\(\1\.b\(1\)\)\)\);/)
+      code.should.match(/import \{a as (__j_import_\d+)\} from "f\.html";[^]*\(\1\(__j_import_\d+\(\{\s*c: 2\s*\}\)\)\)/)
+    })
+
+    it('lets variables shadow macros', () => {
+      let code = generate(compile('{% macro m() %}{% endmacro %}{{ m }}{% for m in ms %}{{ m }}{% endfor %}', 'test'))
+      code.should.match(/yield __j_macro_m;/)
+      code.should.match(/yield (__j_ctx_\d+)\.m;/)
+    })
+
+    it('rejects macros named default', () => {
+      (() => compile('{% macro default() %}{% endmacro %}', 'test'))
+        .should.throw(SyntaxError, 'Macros cannot be named default')
+    })
+  })
+
+  describe('literals', () => {
+    it('builds arrays and objects', () => {
+      let code = generate(compile("{% set v = [1, ('a',), {'k': none, n: true}] %}", 'test'))
+      code.should.match(/\[1, \["a"\], \{\s*"k": null,\s*\[__j_ctx_\d+\.n\]: true\s*\}\]/)
+    })
+
+    it('accepts collections as default arguments', () => {
+      let code = generate(compile("{% macro m(a=[1, -2], b={'k': 'v'}) %}{% endmacro %}", 'test'))
+      code.should.match(/a: \[1, -2\],\s*b: \{\s*"k": "v"\s*\}/)
+    })
+
+    it('rejects expressions as default arguments', () => {
+      (() => compile('{% macro m(a=b) %}{% endmacro %}', 'test'))
+        .should.throw(SyntaxError, 'Expected a literal value')
+    })
+  })
+})
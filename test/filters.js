@@ -0,0 +1,279 @@
+import { filters, kwargs } from '../lib/filters'
+import { Markup } from '../lib/markup'
+
+describe('Filters', () => {
+  describe('strings', () => {
+    it('changes case', () => {
+      filters.upper('aB').should.eq('AB')
+      filters.lower('aB').should.eq('ab')
+      filters.capitalize('hELLO wORLD').should.eq('Hello world')
+      filters.title('hello world-wide (web)').should.eq('Hello World-Wide (Web)')
+    })
+
+    it('keeps markup safe', () => {
+      let value = filters.upper(new Markup('<b>a</b>'))
+      value.should.be.instanceof(Markup)
+      value.toString().should.eq('<B>A</B>')
+    })
+
+    it('renders missing values as empty strings', () => {
+      filters.upper(undefined).should.eq('')
+      filters.trim(null).should.eq('')
+    })
+
+    it('trims whitespace or given characters', () => {
+      filters.trim('  a b \n').should.eq('a b')
+      filters.trim('xxaxx', 'x').should.eq('a')
+    })
+
+    it('truncates at word boundaries', () => {
+      let text = 'foo bar baz qux'
+      filters.truncate(text, 9).should.eq('foo...')
+      filters.truncate(text, 9, true).should.eq('foo ba...')
+      filters.truncate(text, 11, false, '...', 0).should.eq('foo bar...')
+      filters.truncate(text, 11).should.eq(text)
+      filters.truncate(text, kwargs({ length: 5, end: '!', leeway: 0 }))
+        .should.eq('foo!')
+    })
+
+    it('wraps words', () => {
+      filters.wordwrap('Lorem ipsum dolor sit amet, consectetur', 15)
+        .should.eq('Lorem ipsum\ndolor sit amet,\nconsectetur')
+      filters.wordwrap('abcdefghij', 4).should.eq('abcd\nefgh\nij')
+      filters.wordwrap('abcdefghij k', 4, false).should.eq('abcdefghij\nk')
+      filters.wordwrap('a b', 1, true, '<br>').should.eq('a<br>b')
+    })
+
+    it('centers text', () => {
+      filters.center('abc', 10).should.eq('   abc    ')
+      filters.center('ab', 9).should.eq('    ab   ')
+    })
+
+    it('indents lines', () => {
+      filters.indent('a\nb\n\nc').should.eq('a\n    b\n\n    c')
+      filters.indent('a\nb\n\nc', 2, true, true).should.eq('  a\n  b\n  \n  c')
+      filters.indent('a\nb', '> ').should.eq('a\n> b')
+    })
+
+    it('replaces substrings', () => {
+      filters.replace('aaa', 'a', 'b').should.eq('bbb')
+      filters.replace('aaa', 'a', 'b', 2).should.eq('bba')
+      filters.replace(new Markup('<b>a</b>'), 'a', '<i>').toString()
+        .should.eq('<b>&lt;i&gt;</b>')
+    })
+
+    it('strips tags', () => {
+      filters.striptags('<p>a <b>b</b></p>\n <!-- c --> &amp; &#39;d&#x27;')
+        .should.eq("a b & 'd'")
+    })
+
+    it('counts words', () => {
+      filters.wordcount('hello, wörld 42 foo_bar').should.eq(4)
+    })
+
+    it('formats like Python', () => {
+      filters.format('%s-%d-%5.2f-%-3s|%04d %x %#x', 'a', 3.9, Math.PI, 'b', -7, 255, 255)
+        .should.eq('a-3- 3.14-b  |-007 ff 0xff')
+      filters.format('%e %g %g %%', 12345.678, 0.0001, 1e20)
+        .should.eq('1.234568e+04 0.0001 1e+20 %')
+      filters.format('%(a)s=%(b)03d', kwargs({ a: 'x', b: 7 })).should.eq('x=007')
+      filters.format(new Markup('<b>%s</b>'), '<i>').toString()
+        .should.eq('<b>&lt;i&gt;</b>')
+    })
+
+    it('checks format arguments', () => {
+      (() => filters.format('%s %s', 1)).should.throw(TypeError)
+      ;(() => filters.format('%s', 1, 2)).should.throw(TypeError)
+      ;(() => filters.format('%d', 'a')).should.throw(TypeError)
+    })
+  })
+  describe('collections', () => {
+    const users = [
+      { name: 'bob', age: 30, city: 'Paris' },
+      { name: 'Al', age: 25, city: 'paris' },
+      { name: 'cy', age: 30, city: 'Oslo' },
+    ]
+    const names = list => list.map(user => user.name)
+
+    function* numbers() {
+      yield 3
+      yield 1
+      yield 2
+    }
+
+    it('sorts', () => {
+      filters.sort([3, 1, 2]).should.deep.eq([1, 2, 3])
+      filters.sort(['b', 'A', 'c'], true).should.deep.eq(['c', 'b', 'A'])
+      filters.sort(['b', 'A'], false, true).should.deep.eq(['A', 'b'])
+      names(filters.sort(users, kwargs({ attribute: 'age,name' })))
+        .should.deep.eq(['Al', 'bob', 'cy'])
+    })
+
+    it('accepts any iterable', () => {
+      filters.sort(numbers()).should.deep.eq([1, 2, 3])
+      filters.first(numbers()).should.eq(3)
+      filters.list(new Set([1, 2])).should.deep.eq([1, 2])
+      filters.list('ab').should.deep.eq(['a', 'b'])
+    })
+
+    it('iterates over entries of maps and objects', () => {
+      filters.list(new Map([['a', 1]])).should.deep.eq([['a', 1]])
+      filters.first({ a: 1 }).should.deep.eq(['a', 1])
+      filters.length({ a: 1, b: 2 }).should.eq(2)
+      filters.length(new Map([['a', 1]])).should.eq(1)
+    })
+
+    it('groups by attribute', () => {
+      let groups = filters.groupby(users, 'city')
+      groups.map(group => group.grouper).should.deep.eq(['Oslo', 'Paris'])
+      names(groups[1].list).should.deep.eq(['bob', 'Al'])
+      groups[0][0].should.eq('Oslo')
+      filters.groupby(users, 'city', kwargs({ case_sensitive: true }))
+        .should.have.length(3)
+      filters.groupby([{}], 'a', 'none')[0].grouper.should.eq('none')
+    })
+
+    it('maps attributes and filters', () => {
+      filters.map(users, kwargs({ attribute: 'name' }))
+        .should.deep.eq(['bob', 'Al', 'cy'])
+      filters.map([{}], kwargs({ attribute: 'a.b', default: 0 }))
+        .should.deep.eq([0])
+      filters.map(['a', 'b'], 'upper').should.deep.eq(['A', 'B'])
+      filters.map(['abc'], 'truncate', 2, kwargs({ end: '', leeway: 0 }))
+        .should.deep.eq(['ab'])
+    })
+
+    it('selects and rejects with tests', () => {
+      filters.select([1, 2, 3, 4], 'odd').should.deep.eq([1, 3])
+      filters.select([1, 5, 10], '>', 3).should.deep.eq([5, 10])
+      filters.select([0, 1, [], {}, 'x']).should.deep.eq([1, 'x'])
+      filters.reject([1, 2, 3], 'divisibleby', 3).should.deep.eq([1, 2])
+      names(filters.selectattr(users, 'age', 'equalto', 30))
+        .should.deep.eq(['bob', 'cy'])
+      names(filters.rejectattr(users, 'city', 'in', 'Paris Oslo'))
+        .should.deep.eq(['Al'])
+      ;(() => filters.select([1], 'nope')).should.throw(TypeError)
+    })
+
+    it('removes duplicates', () => {
+      filters.unique(['a', 'A', 'b']).should.deep.eq(['a', 'b'])
+      filters.unique(['a', 'A'], true).should.deep.eq(['a', 'A'])
+      names(filters.unique(users, kwargs({ attribute: 'age' })))
+        .should.deep.eq(['bob', 'Al'])
+    })
+
+    it('batches and slices', () => {
+      filters.batch([1, 2, 3, 4, 5], 2).should.deep.eq([[1, 2], [3, 4], [5]])
+      filters.batch([1, 2, 3], 2, 0).should.deep.eq([[1, 2], [3, 0]])
+      filters.slice([1, 2, 3, 4, 5, 6, 7], 3)
+        .should.deep.eq([[1, 2, 3], [4, 5], [6, 7]])
+      filters.slice([1, 2, 3, 4], 3, 'x')
+        .should.deep.eq([[1, 2], [3, 'x'], [4, 'x']])
+    })
+
+    it('joins', () => {
+      filters.join([1, 2], '|').should.eq('1|2')
+      filters.join(users, ', ', 'name').should.eq('bob, Al, cy')
+    })
+
+    it('escapes items joined with markup', () => {
+      let value = filters.join(['<a>', new Markup('<b>')])
+      value.should.be.instanceof(Markup)
+      value.toString().should.eq('&lt;a&gt;<b>')
+    })
+
+    it('picks items', () => {
+      filters.first([1, 2]).should.eq(1)
+      filters.last('abc').should.eq('c')
+      should.not.exist(filters.first([]))
+      filters.min(['b', 'A', 'c']).should.eq('A')
+      filters.max(users, kwargs({ attribute: 'age' })).name.should.eq('bob')
+      should.not.exist(filters.max([]))
+    })
+
+    it('sums', () => {
+      filters.sum([1, 2, 3]).should.eq(6)
+      filters.sum(users, 'age', 5).should.eq(90)
+    })
+
+    it('reverses', () => {
+      filters.reverse('abc').should.eq('cba')
+      filters.reverse(new Set([1, 2])).should.deep.eq([2, 1])
+    })
+
+    it('sorts dictionaries', () => {
+      filters.dictsort({ b: 1, A: 2, c: 0 })
+        .should.deep.eq([['A', 2], ['b', 1], ['c', 0]])
+      filters.dictsort(new Map([['b', 1], ['a', 2]]), false, 'value', true)
+        .should.deep.eq([['a', 2], ['b', 1]])
+      ;(() => filters.dictsort({}, false, 'nope')).should.throw(TypeError)
+    })
+  })
+  describe('formatting', () => {
+    it('serializes JSON safe for HTML', () => {
+      let value = filters.tojson({ a: "</script>&'" })
+      value.should.be.instanceof(Markup)
+      value.toString().should.eq('{"a":"\\u003c/script\\u003e\\u0026\\u0027"}')
+      filters.tojson([1], 2).toString().should.eq('[\n  1\n]')
+      filters.tojson(new Map([['a', new Set([1])]])).toString()
+        .should.eq('{"a":[1]}')
+    })
+
+    it('formats file sizes', () => {
+      filters.filesizeformat(1).should.eq('1 Byte')
+      filters.filesizeformat(999).should.eq('999 Bytes')
+      filters.filesizeformat(123456789).should.eq('123.5 MB')
+      filters.filesizeformat(1024, true).should.eq('1.0 KiB')
+    })
+
+    it('encodes URLs', () => {
+      filters.urlencode('a b/c&d').should.eq('a%20b/c%26d')
+      filters.urlencode({ q: 'a b', 'x/y': 'é!' }).should.eq('q=a+b&x%2Fy=%C3%A9%21')
+      filters.urlencode(new Map([['a', 1]])).should.eq('a=1')
+    })
+
+    it('links URLs and emails', () => {
+      filters.urlize('see www.example.com, (http://a.org/b_(c)) me@x.com <b>')
+        .toString().should.eq(
+          'see <a href="https://www.example.com" rel="noopener">www.example.com</a>, '
+          + '(<a href="http://a.org/b_(c)" rel="noopener">http://a.org/b_(c)</a>) '
+          + '<a href="mailto:me@x.com">me@x.com</a> &lt;b&gt;')
+      filters.urlize('http://example.com', 10, true, '_blank').toString().should.eq(
+        '<a href="http://example.com" rel="nofollow noopener" target="_blank">'
+        + 'http://exa...</a>')
+    })
+
+    it('formats XML attributes', () => {
+      let value = filters.xmlattr({ class: 'a"b', id: null, 'data-x': 1 })
+      value.should.be.instanceof(Markup)
+      value.toString().should.eq(' class="a&#34;b" data-x="1"')
+      ;(() => filters.xmlattr({ 'a b': 1 })).should.throw(TypeError)
+    })
+
+    it('rounds like Python', () => {
+      filters.round(2.5).should.eq(2)
+      filters.round(3.5).should.eq(4)
+      filters.round(2.675, 2).should.eq(2.67)
+      filters.round(1.21, 1, 'ceil').should.eq(1.3)
+      filters.round(1.29, kwargs({ precision: 1, method: 'floor' })).should.eq(1.2)
+    })
+
+    it('converts numbers', () => {
+      filters.int('42').should.eq(42)
+      filters.int('12.7').should.eq(12)
+      filters.int('abc', 7).should.eq(7)
+      filters.int('0x1A', 0, 16).should.eq(26)
+      filters.int(3.9).should.eq(3)
+      filters.float('1.5').should.eq(1.5)
+      filters.float('x').should.eq(0)
+      filters.abs(-3).should.eq(3)
+    })
+
+    it('provides defaults', () => {
+      filters.default(undefined, 'x').should.eq('x')
+      filters.default('', 'x').should.eq('')
+      filters.d('', 'x', true).should.eq('x')
+      should.equal(filters.default(null, 'x'), null)
+    })
+  })
+})
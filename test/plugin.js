@@ -0,0 +1,25 @@
+import { resolve } from 'path'
+
+import jinja from '../index'
+
+describe('Plugin', () => {
+  describe('resolveId', () => {
+    const root = resolve(__dirname, 'fixtures')
+    const importer = resolve(root, 'pages/index.html')
+
+    it('resolves templates relative to the importing one', () => {
+      jinja().resolveId('base.html', importer)
+        .should.eq(resolve(root, 'pages/base.html'))
+      jinja({ root }).resolveId('base.html', importer)
+        .should.eq(resolve(root, 'pages/base.html'))
+    })
+
+    it('falls back to the root', () => {
+      should.not.exist(jinja().resolveId('layouts/base.html', importer))
+      jinja({ root }).resolveId('layouts/base.html', importer)
+        .should.eq(resolve(root, 'layouts/base.html'))
+      jinja({ root: ['nope', root] }).resolveId('layouts/base.html', importer)
+        .should.eq(resolve(root, 'layouts/base.html'))
+    })
+  })
+})
@@ -0,0 +1,295 @@
+import { filters } from '../lib/filters'
+import * as runtime from '../lib/runtime'
+
+describe('Runtime', () => {
+  describe('blocks', () => {
+    const base = {
+      *title(ctx) { yield 'base' },
+      *body(ctx) { yield ctx.text },
+    }
+
+    const child = {
+      *title(ctx) { yield `child(${ctx.super()})` },
+    }
+
+    const grandchild = {
+      *title(ctx) { yield `grandchild(${ctx.super()}, ${ctx.super.super()})` },
+    }
+
+    it('chains blocks from the most derived', () => {
+      let blocks = runtime.inherit(runtime.inherit({}, child), base)
+      blocks.title.should.deep.eq([child.title, base.title])
+      blocks.body.should.deep.eq([base.body])
+    })
+
+    it('renders blocks with context', () => {
+      let blocks = runtime.inherit({}, base)
+      runtime.render(runtime.block(blocks, 'body', { text: 'body' }))
+        .should.eq('body')
+    })
+
+    it('renders parent blocks through super', () => {
+      let blocks = [grandchild, child, base].reduce(runtime.inherit, {})
+      runtime.render(runtime.block(blocks, 'title', {}))
+        .should.eq('grandchild(child(base), base)')
+    })
+
+    it('has no super in the least derived block', () => {
+      let blocks = runtime.inherit({}, base)
+      let ctx = null
+      blocks.body = [function*(context) { ctx = context }]
+      runtime.render(runtime.block(blocks, 'body', {}))
+      should.not.exist(ctx.super)
+    })
+  })
+
+  describe('macros', () => {
+    it('maps positional arguments to names', () => {
+      runtime.macroArgs(['a', 'class'], [1, 2]).should.deep.eq({ a: 1, class: 2 })
+      runtime.macroArgs(['a', 'class'], [1]).should.deep.eq({ a: 1 })
+    })
+
+    it('maps keyword arguments to names', () => {
+      runtime.macroArgs(['a', 'b'], [runtime.kwargs({ b: 5, a: 1 })])
+        .should.deep.eq({ a: 1, b: 5 })
+    })
+
+    it('rejects invalid arguments', () => {
+      (() => runtime.macroArgs(['a'], [1, 2])).should.throw(TypeError)
+      ;(() => runtime.macroArgs(['a'], [runtime.kwargs({ c: 1 })]))
+        .should.throw(TypeError, 'Unexpected keyword argument c')
+      ;(() => runtime.macroArgs(['a'], [1, runtime.kwargs({ a: 1 })]))
+        .should.throw(TypeError, 'Argument a given more than once')
+    })
+  })
+
+  describe('include', () => {
+    const part = {
+      *generate(ctx) { yield `part(${ctx.x})` },
+    }
+
+    it('renders the first existing template', () => {
+      runtime.render(runtime.include([null, part], { x: 1 })).should.eq('part(1)')
+    })
+
+    it('throws when no template exists', () => {
+      (() => runtime.render(runtime.include([null, undefined], {})))
+        .should.throw(Error, /does not exist/)
+    })
+
+    it('rejects names of templates', () => {
+      (() => runtime.render(runtime.include([part, 'name.html'], {}, true)))
+        .should.throw(TypeError, /template object is required/)
+    })
+
+    it('ignores missing templates when asked to', () => {
+      runtime.render(runtime.include(null, {}, true)).should.eq('')
+    })
+  })
+
+  describe('escaping', () => {
+    it('escapes HTML special characters', () => {
+      runtime.escape('<a href="x">\'&\'</a>').toString()
+        .should.eq('&lt;a href=&#34;x&#34;&gt;&#39;&amp;&#39;&lt;/a&gt;')
+    })
+
+    it('escapes non-string values', () => {
+      runtime.escape(12).should.be.instanceof(runtime.Markup)
+      runtime.escape(12).toString().should.eq('12')
+    })
+
+    it('does not escape markup', () => {
+      let markup = runtime.markSafe('<b>')
+      runtime.escape(markup).should.eq(markup)
+      runtime.render([markup]).should.eq('<b>')
+    })
+
+    it('leaves missing values missing', () => {
+      should.not.exist(runtime.escape(null))
+      should.not.exist(runtime.escape(undefined))
+    })
+
+    it('returns markup from super', () => {
+      let blocks = runtime.inherit(runtime.inherit({}, {
+        *b(ctx) { yield ctx.super() },
+      }), {
+        *b(ctx) { yield '<b>' },
+      })
+      let [value] = runtime.block(blocks, 'b', {})
+      value.should.be.instanceof(runtime.Markup)
+    })
+  })
+  describe('truthiness', () => {
+    it('follows Python', () => {
+      for (let value of [[], {}, new Map(), new Set(), '', 0, null, undefined]) {
+        runtime.truthy(value).should.be.false
+      }
+      for (let value of [[0], { a: 0 }, 'a', 1, new runtime.Markup('a')]) {
+        runtime.truthy(value).should.be.true
+      }
+    })
+  })
+
+  describe('operators', () => {
+    it('joins strings', () => {
+      runtime.concat('a', 1).should.eq('a1')
+      runtime.concat(null, undefined).should.eq('')
+      runtime.concat(new runtime.Markup('<b>'), '<i>')
+        .should.deep.eq(new runtime.Markup('<b>&lt;i&gt;'))
+    })
+
+    it('divides like Python', () => {
+      runtime.floordiv(7, 2).should.eq(3)
+      runtime.floordiv(-7, 2).should.eq(-4)
+      ;(() => runtime.floordiv(1, 0)).should.throw(RangeError)
+    })
+
+    it('checks membership', () => {
+      runtime.contains('hello', 'ell').should.be.true
+      runtime.contains({ k: 1 }, 'k').should.be.true
+      runtime.contains(new Set([1]), 2).should.be.false
+    })
+  })
+
+  describe('loops', () => {
+    const items = loop => {
+      let result = []
+      for (let item = loop.next() ; !item.done ; item = loop.next()) {
+        result.push(item.value)
+      }
+      return result
+    }
+
+    it('tracks position', () => {
+      let loop = new runtime.Loop(['a', 'b', 'c'])
+      loop.next()
+      loop.next()
+      loop.index.should.eq(2)
+      loop.index0.should.eq(1)
+      loop.revindex.should.eq(2)
+      loop.revindex0.should.eq(1)
+      loop.first.should.be.false
+      loop.last.should.be.false
+      loop.previtem.should.eq('a')
+      loop.nextitem.should.eq('c')
+      loop.next()
+      loop.last.should.be.true
+      should.not.exist(loop.nextitem)
+    })
+
+    it('reads iterables only as far as needed', () => {
+      let read = 0
+      let loop = new runtime.Loop(function* () {
+        for (let i = 0 ; i < 5 ; ++i) {
+          read += 1
+          yield i
+        }
+      }())
+      loop.next()
+      loop.last.should.be.false
+      read.should.eq(2)
+      loop.length.should.eq(5)
+      read.should.eq(5)
+      items(loop).should.deep.eq([1, 2, 3, 4])
+    })
+
+    it('skips filtered items', () => {
+      let loop = new runtime.Loop([1, 2, 3, 4], item => item % 2 === 0)
+      loop.length.should.eq(2)
+      items(loop).should.deep.eq([2, 4])
+      loop.index.should.eq(2)
+    })
+
+    it('loops over mappings', () => {
+      items(new runtime.Loop({ a: 1 })).should.deep.eq([['a', 1]])
+    })
+
+    it('cycles and detects changes', () => {
+      let loop = new runtime.Loop([1, 1, 2])
+      let result = []
+      for (let item = loop.next() ; !item.done ; item = loop.next()) {
+        result.push(loop.cycle('odd', 'even'), loop.changed(item.value))
+      }
+      result.should.deep.eq(['odd', true, 'even', false, 'odd', true])
+    })
+  })
+
+  describe('subscripts', () => {
+    it('falls back between attributes and items', () => {
+      let map = new Map([['k', 'v']])
+      runtime.getattr(map, 'k').should.eq('v')
+      runtime.getattr(map, 'size').should.eq(1)
+      runtime.getitem(map, 'size').should.eq(1)
+      should.not.exist(runtime.getattr(undefined, 'k'))
+      should.not.exist(runtime.getitem(null, 0))
+    })
+
+    it('counts negative indices from the end', () => {
+      runtime.getitem([1, 2, 3], -1).should.eq(3)
+      runtime.getitem('abc', -3).should.eq('a')
+      runtime.getitem({ '-1': 'x' }, -1).should.eq('x')
+    })
+
+    it('slices like Python', () => {
+      let items = [0, 1, 2, 3, 4, 5]
+      runtime.slice(items, 1, -1).should.deep.eq([1, 2, 3, 4])
+      runtime.slice(items, null, null, 2).should.deep.eq([0, 2, 4])
+      runtime.slice(items, null, null, -2).should.deep.eq([5, 3, 1])
+      runtime.slice(items, 4, 1, -1).should.deep.eq([4, 3, 2])
+      runtime.slice(items, 10, -10).should.deep.eq([])
+      runtime.slice(items, -100, 2).should.deep.eq([0, 1])
+      runtime.slice('hello', null, null, -1).should.eq('olleh')
+      runtime.slice(new Set([1, 2, 3]), 1).should.deep.eq([2, 3])
+      runtime.slice(new runtime.Markup('<b>'), 1)
+        .should.deep.eq(new runtime.Markup('b>'))
+      ;(() => runtime.slice(items, null, null, 0)).should.throw(RangeError)
+    })
+  })
+
+  describe('filters', () => {
+    it('provides built-in filters', () => {
+      runtime.environment.filters.escape('<').toString().should.eq('&lt;')
+      runtime.environment.filters.safe('<').should.be.instanceof(runtime.Markup)
+    })
+
+    it('registers filters', () => {
+      let env = new runtime.Environment({ a: x => x })
+      env.addFilter('b', x => x + 1).should.eq(env)
+      env.filters.b(1).should.eq(2)
+      env.filters.a.should.be.a('function')
+    })
+
+    it('passes keyword arguments by name', () => {
+      let f = runtime.parameters(['a', 'b', 'c'], (value, a, b=2, c=3) =>
+        [value, a, b, c])
+      f(0, 1).should.deep.eq([0, 1, 2, 3])
+      f(0, 1, runtime.kwargs({ c: 4 })).should.deep.eq([0, 1, 2, 4])
+      f(0, runtime.kwargs({ b: 4, a: 5 })).should.deep.eq([0, 5, 4, 3])
+    })
+
+    it('rejects unexpected keyword arguments', () => {
+      let f = runtime.parameters(['a'], (value, a) => a)
+      ;(() => f(0, runtime.kwargs({ b: 1 }))).should.throw(TypeError)
+      ;(() => f(0, 1, runtime.kwargs({ a: 1 }))).should.throw(TypeError)
+    })
+
+    it('registers tests', () => {
+      let env = new runtime.Environment({}, runtime.environment.tests)
+      env.addTest('positive', x => x > 0).should.eq(env)
+      env.tests.positive(1).should.be.true
+      env.tests.divisibleby(9, 3).should.be.true
+      runtime.environment.tests.should.not.have.property('positive')
+    })
+
+    it('calls filters with the environment', () => {
+      let env = new runtime.Environment(filters)
+      env.addTest('big', x => x > 9)
+      env.filters.select([1, 10], 'big').should.deep.eq([10])
+    })
+
+    it('does not share filters between environments', () => {
+      new runtime.Environment().addFilter('shared', x => x)
+      runtime.environment.filters.should.not.have.property('shared')
+    })
+  })
+})
@@ -18,7 +18,7 @@ describe('Source', () => {
     })
 
     it('parses two-char symbols', () => {
-      let ops = ['!=','%}','**','<=','==','>=','{%','{{','}}']
+      let ops = ['!=','%}','**','<=','==','>=','{#','{%','{{','}}']
       let src = new Source(ops.join(' '))
 
       for (let i = 0 ; i < ops.length ; ++i) {
@@ -31,6 +31,22 @@ describe('Source', () => {
         })
       }
     })
+
+    it('parses whitespace control delimiters', () => {
+      let ops = ['{#-','{%-','{{-','-#}','-%}','-}}']
+      let src = new Source(ops.join(' '))
+
+      for (let i = 0 ; i < ops.length ; ++i) {
+        let ev = src.next()
+        ev.should.deep.eq({
+          type: 'Symbol',
+          value: ops[i].replace('-', ''),
+          trim: true,
+          start: { line: 1, column: 4*i, offset: 4*i },
+          end:   { line: 1, column: 4*i+3, offset: 4*i+3 },
+        })
+      }
+    })
   })
 
   describe('number parser', () => {
@@ -60,6 +76,19 @@ describe('Source', () => {
         end:   { line: 1, column: 5, offset: 5 },
       })
     })
+
+    it('parses numbers following a dot as integers', () => {
+      let source = new Source('a.0.b')
+      source.next()
+      source.next()
+      source.next().should.deep.eq({
+        type: 'Number',
+        value: 0,
+        start: { line: 1, column: 2, offset: 2 },
+        end:   { line: 1, column: 3, offset: 3 },
+      })
+      source.next().value.should.eq('.')
+    })
   })
 
   describe('identifier parser', () => {
@@ -110,12 +139,16 @@ const op = (op, offset, line, column) => ({
 })
 
 describe('Parser', () => {
+  let parse = code => new Parser(new Source(code)).expression([])
+
   it('Generates proper empty AST', () => {
     new Parser(new Source('')).generate().should.deep.eq({
       type: 'Template',
       extends: null,
       blocks: [],
       macros: [],
+      imports: [],
+      comments: [],
       body: {
         type: 'Scope',
         variables: [],
@@ -347,49 +380,464 @@ describe('Parser', () => {
       })
     })
 
-    it("respects operator precedence", () => {
-      let source = new Source('v1 + v2 * v3 / (v4.v5 - v6) | f')
+    it("reads keyword arguments", () => {
+      let source = new Source('f(a, b=1)')
+      let parser = new Parser(source)
+      parser.expression([]).args.should.deep.eq([{
+        type: 'Variable',
+        name: 'a',
+        start: loc(2, 1, 2),
+        end: loc(3, 1, 3),
+      }, {
+        type: 'KeywordArgument',
+        name: 'b',
+        value: {
+          type: 'Number',
+          value: 1,
+          start: loc(7, 1, 7),
+          end: loc(8, 1, 8),
+        },
+        start: loc(5, 1, 5),
+        end: loc(8, 1, 8),
+      }])
+    })
+
+    it("rejects positional arguments after keyword arguments", () => {
+      let source = new Source('f(b=1, a)')
+      let parser = new Parser(source)
+      ;(() => parser.expression([])).should.throw(SyntaxError,
+        'Positional argument follows keyword argument')
+    })
+
+    it("reads tests", () => {
+      let source = new Source('not v is not divisibleby 3 + 1')
       let parser = new Parser(source)
       parser.expression([]).should.deep.eq({
-        type: 'Filter',
-        filter: {
+        type: 'UnOp',
+        op: op('not', 0, 1, 0),
+        argument: {
+          type: 'BinOp',
+          op: op('+', 27, 1, 27),
+          left: {
+            type: 'Test',
+            negated: true,
+            test: {
+              type: 'FunctionCall',
+              function: {
+                type: 'Variable',
+                name: 'divisibleby',
+                start: loc(13, 1, 13),
+                end: loc(24, 1, 24),
+              },
+              args: [{
+                type: 'Number',
+                value: 3,
+                start: loc(25, 1, 25),
+                end: loc(26, 1, 26),
+              }],
+              start: loc(13, 1, 13),
+              end: loc(26, 1, 26),
+            },
+            value: {
+              type: 'Variable',
+              name: 'v',
+              start: loc(4, 1, 4),
+              end: loc(5, 1, 5),
+            },
+            start: loc(4, 1, 4),
+            end: loc(26, 1, 26),
+          },
+          right: {
+            type: 'Number',
+            value: 1,
+            start: loc(29, 1, 29),
+            end: loc(30, 1, 30),
+          },
+          start: loc(4, 1, 4),
+          end: loc(30, 1, 30),
+        },
+        start: loc(0, 1, 0),
+        end: loc(30, 1, 30),
+      })
+    })
+
+    it("reads tests with arguments in parentheses", () => {
+      let source = new Source('a.b is sameas(c) is defined')
+      let parser = new Parser(source)
+      let test = parser.expression([])
+      test.type.should.eq('Test')
+      test.test.name.should.eq('defined')
+      test.value.type.should.eq('Test')
+      test.value.test.type.should.eq('FunctionCall')
+      test.value.value.type.should.eq('Member')
+    })
+
+    it("reads boolean operators", () => {
+      let source = new Source('a or b and not c')
+      let parser = new Parser(source)
+      parser.expression([]).should.deep.eq({
+        type: 'BinOp',
+        op: op('or', 2, 1, 2),
+        left: {
           type: 'Variable',
-          name: 'f',
-          start: loc(30, 1, 30),
-          end: loc(31, 1, 31),
+          name: 'a',
+          start: loc(0, 1, 0),
+          end: loc(1, 1, 1),
         },
-        value: {
+        right: {
           type: 'BinOp',
-          op: op('+', 3, 1, 3),
+          op: op('and', 7, 1, 7),
           left: {
             type: 'Variable',
-            name: 'v1',
+            name: 'b',
+            start: loc(5, 1, 5),
+            end: loc(6, 1, 6),
+          },
+          right: {
+            type: 'UnOp',
+            op: op('not', 11, 1, 11),
+            argument: {
+              type: 'Variable',
+              name: 'c',
+              start: loc(15, 1, 15),
+              end: loc(16, 1, 16),
+            },
+            start: loc(11, 1, 11),
+            end: loc(16, 1, 16),
+          },
+          start: loc(5, 1, 5),
+          end: loc(16, 1, 16),
+        },
+        start: loc(0, 1, 0),
+        end: loc(16, 1, 16),
+      })
+    })
+
+    it("binds comparisons tighter than boolean operators", () => {
+      let source = new Source('a == b and c < d')
+      let parser = new Parser(source)
+      let expr = parser.expression([])
+      expr.op.value.should.eq('and')
+      expr.left.op.value.should.eq('==')
+      expr.right.op.value.should.eq('<')
+    })
+
+    it("reads collection literals", () => {
+      let source = new Source("{'k': [1, (v,)],}")
+      let parser = new Parser(source)
+      parser.expression([]).should.deep.eq({
+        type: 'Dict',
+        items: [{
+          type: 'Pair',
+          key: {
+            type: 'String',
+            value: 'k',
+            start: loc(1, 1, 1),
+            end: loc(4, 1, 4),
+          },
+          value: {
+            type: 'List',
+            items: [{
+              type: 'Number',
+              value: 1,
+              start: loc(7, 1, 7),
+              end: loc(8, 1, 8),
+            }, {
+              type: 'Tuple',
+              items: [{
+                type: 'Variable',
+                name: 'v',
+                start: loc(11, 1, 11),
+                end: loc(12, 1, 12),
+              }],
+              start: loc(10, 1, 10),
+              end: loc(14, 1, 14),
+            }],
+            start: loc(6, 1, 6),
+            end: loc(15, 1, 15),
+          },
+          start: loc(1, 1, 1),
+          end: loc(15, 1, 15),
+        }],
+        start: loc(0, 1, 0),
+        end: loc(17, 1, 17),
+      })
+    })
+
+    it("tells tuples from parenthesised expressions", () => {
+      parse('(a)').type.should.eq('Variable')
+      parse('(a,)').type.should.eq('Tuple')
+      parse('()').items.should.deep.eq([])
+      parse('(a, b)').items.map(item => item.name).should.deep.eq(['a', 'b'])
+      parse('f((a, b))').args[0].type.should.eq('Tuple')
+    })
+
+    it("reads constants", () => {
+      parse('true').should.deep.eq({
+        type: 'Boolean',
+        value: true,
+        start: loc(0, 1, 0),
+        end: loc(4, 1, 4),
+      })
+      parse('[False, none, None]').items.map(item => item.type)
+        .should.deep.eq(['Boolean', 'None', 'None'])
+    })
+
+    it("reads a dictionary closing a placeable", () => {
+      let source = new Source("{{ {'a': {'b': 1}}}}")
+      let parser = new Parser(source)
+      parser.process()
+      let [node] = parser.context.body
+      node.type.should.eq('PutValue')
+      node.value.items[0].value.type.should.eq('Dict')
+      node.end.should.deep.eq(loc(20, 1, 20))
+    })
+
+    it("rejects malformed collections", () => {
+      (() => parse('[1, 2)')).should.throw(SyntaxError, '(1:5) Mismatched )')
+      ;(() => parse('[1, 2')).should.throw(SyntaxError, '(1:0) Unclosed [')
+      ;(() => parse('{a}')).should.throw(SyntaxError, 'Expected a key-value pair')
+      ;(() => parse('[a: b]')).should.throw(SyntaxError, 'Unexpected key-value pair')
+    })
+
+    it("reads subscripts", () => {
+      let source = new Source("a[0]['b'].c")
+      let parser = new Parser(source)
+      parser.expression([]).should.deep.eq({
+        type: 'Member',
+        object: {
+          type: 'Subscript',
+          object: {
+            type: 'Subscript',
+            object: {
+              type: 'Variable',
+              name: 'a',
+              start: loc(0, 1, 0),
+              end: loc(1, 1, 1),
+            },
+            key: {
+              type: 'Number',
+              value: 0,
+              start: loc(2, 1, 2),
+              end: loc(3, 1, 3),
+            },
             start: loc(0, 1, 0),
-            end: loc(2, 1, 2),
+            end: loc(4, 1, 4),
+          },
+          key: {
+            type: 'String',
+            value: 'b',
+            start: loc(5, 1, 5),
+            end: loc(8, 1, 8),
+          },
+          start: loc(0, 1, 0),
+          end: loc(9, 1, 9),
+        },
+        property: {
+          type: 'Variable',
+          name: 'c',
+          start: loc(10, 1, 10),
+          end: loc(11, 1, 11),
+        },
+        start: loc(0, 1, 0),
+        end: loc(11, 1, 11),
+      })
+    })
+
+    it("reads slices", () => {
+      let slice = code => {
+        let { key } = parse(code)
+        key.type.should.eq('Slice')
+        return [key.lower, key.upper, key.step]
+          .map(part => part && (part.value !== undefined ? part.value : part.type))
+      }
+      slice('a[1:2:3]').should.deep.eq([1, 2, 3])
+      slice('a[:]').should.deep.eq([null, null, null])
+      slice('a[::-1]').should.deep.eq([null, null, 'UnOp'])
+      slice('a[b:]').should.deep.eq(['Variable', null, null])
+      slice('a[:b + 1]').should.deep.eq([null, 'BinOp', null])
+      ;(() => slice('a[1:2:3:4]')).should.throw(SyntaxError, 'Invalid slice')
+      ;(() => slice('a[]')).should.throw(SyntaxError, 'Expected a subscript')
+    })
+
+    it("applies calls and subscripts before further member access", () => {
+      let source = new Source('f(x).g[0](y).h')
+      let parser = new Parser(source)
+      let expr = parser.expression([])
+      expr.type.should.eq('Member')
+      expr.object.type.should.eq('FunctionCall')
+      expr.object.function.type.should.eq('Subscript')
+      expr.object.function.object.object.type.should.eq('FunctionCall')
+    })
+
+    it("reads inline if expressions", () => {
+      let source = new Source('a if b else c or d')
+      let parser = new Parser(source)
+      parser.expression([]).should.deep.eq({
+        type: 'Conditional',
+        test: {
+          type: 'Variable',
+          name: 'b',
+          start: loc(5, 1, 5),
+          end: loc(6, 1, 6),
+        },
+        consequent: {
+          type: 'Variable',
+          name: 'a',
+          start: loc(0, 1, 0),
+          end: loc(1, 1, 1),
+        },
+        alternate: {
+          type: 'BinOp',
+          op: op('or', 14, 1, 14),
+          left: {
+            type: 'Variable',
+            name: 'c',
+            start: loc(12, 1, 12),
+            end: loc(13, 1, 13),
           },
           right: {
+            type: 'Variable',
+            name: 'd',
+            start: loc(17, 1, 17),
+            end: loc(18, 1, 18),
+          },
+          start: loc(12, 1, 12),
+          end: loc(18, 1, 18),
+        },
+        start: loc(0, 1, 0),
+        end: loc(18, 1, 18),
+      })
+    })
+
+    it("reads inline if expressions without else", () => {
+      let expr = parse('a if b')
+      expr.type.should.eq('Conditional')
+      should.equal(expr.alternate, null)
+
+      expr = parse('a if b else c if d else e')
+      expr.alternate.type.should.eq('Conditional')
+      expr.alternate.test.name.should.eq('d')
+
+      parse('f(k=a if b else c)').args[0].value.type.should.eq('Conditional')
+      ;(() => parse('(a else b)')).should.throw(SyntaxError, '(1:3) Unexpected else')
+    })
+
+    it("reads string and membership operators", () => {
+      let source = new Source('a ~ b * c not in d')
+      let parser = new Parser(source)
+      let expr = parser.expression([])
+      expr.op.should.deep.eq(op('not in', 10, 1, 10))
+      expr.left.op.value.should.eq('~')
+      expr.left.right.op.value.should.eq('*')
+      parser = new Parser(new Source('a // b in c'))
+      expr = parser.expression([])
+      expr.op.value.should.eq('in')
+      expr.left.op.value.should.eq('//')
+      ;(() => parse('a not b'))
+        .should.throw(SyntaxError, 'Expected in')
+    })
+
+    it("reads comparison chains", () => {
+      let source = new Source('0 <= i < n')
+      let parser = new Parser(source)
+      parser.expression([]).should.deep.eq({
+        type: 'Compare',
+        left: {
+          type: 'Number',
+          value: 0,
+          start: loc(0, 1, 0),
+          end: loc(1, 1, 1),
+        },
+        ops: [op('<=', 2, 1, 2), op('<', 7, 1, 7)],
+        comparators: [{
+          type: 'Variable',
+          name: 'i',
+          start: loc(5, 1, 5),
+          end: loc(6, 1, 6),
+        }, {
+          type: 'Variable',
+          name: 'n',
+          start: loc(9, 1, 9),
+          end: loc(10, 1, 10),
+        }],
+        start: loc(0, 1, 0),
+        end: loc(10, 1, 10),
+      })
+    })
+
+    it("does not chain comparisons in parentheses", () => {
+      let expr = parse('(a < b) < c')
+      expr.type.should.eq('BinOp')
+      expr.left.type.should.eq('BinOp')
+      parse('a < (b < c)').type.should.eq('BinOp')
+      parse('a < b == c in d').ops.map(op => op.value)
+        .should.deep.eq(['<', '==', 'in'])
+    })
+
+    it("binds prefix operators tighter than multiplication", () => {
+      let expr = parse('a * -b // c')
+      expr.op.value.should.eq('//')
+      expr.left.right.type.should.eq('UnOp')
+    })
+
+    it("binds prefix operators tighter than powers, filters and tests", () => {
+      let expr = parse('-2 ** 2')
+      expr.op.value.should.eq('**')
+      expr.left.type.should.eq('UnOp')
+      expr = parse('-x|abs')
+      expr.type.should.eq('Filter')
+      expr.value.type.should.eq('UnOp')
+      expr = parse('-x is odd')
+      expr.type.should.eq('Test')
+      expr.value.type.should.eq('UnOp')
+      expr = parse('-a.b[0]()')
+      expr.type.should.eq('UnOp')
+      expr.argument.type.should.eq('FunctionCall')
+    })
+
+    it("respects operator precedence", () => {
+      let source = new Source('v1 + v2 * v3 / (v4.v5 - v6) | f')
+      let parser = new Parser(source)
+      parser.expression([]).should.deep.eq({
+        type: 'BinOp',
+        op: op('+', 3, 1, 3),
+        left: {
+          type: 'Variable',
+          name: 'v1',
+          start: loc(0, 1, 0),
+          end: loc(2, 1, 2),
+        },
+        right: {
+          type: 'BinOp',
+          op: op('/', 13, 1, 13),
+          left: {
             type: 'BinOp',
-            op: op('/', 13, 1, 13),
-            start: loc(10, 1, 10),
+            op: op('*', 8, 1, 8),
             left: {
-              type: 'BinOp',
-              op: op('*', 8, 1, 8),
-              left: {
-                type: 'Variable',
-                name: 'v2',
-                start: loc(5, 1, 5),
-                end: loc(7, 1, 7),
-              },
-              right: {
-                type: 'Variable',
-                name: 'v3',
-                start: loc(10, 1, 10),
-                end: loc(12, 1, 12),
-              },
+              type: 'Variable',
+              name: 'v2',
               start: loc(5, 1, 5),
-              end: loc(12, 1, 12),
+              end: loc(7, 1, 7),
             },
             right: {
+              type: 'Variable',
+              name: 'v3',
+              start: loc(10, 1, 10),
+              end: loc(12, 1, 12),
+            },
+            start: loc(5, 1, 5),
+            end: loc(12, 1, 12),
+          },
+          right: {
+            type: 'Filter',
+            filter: {
+              type: 'Variable',
+              name: 'f',
+              start: loc(30, 1, 30),
+              end: loc(31, 1, 31),
+            },
+            value: {
               type: 'BinOp',
               op: op('-', 22, 1, 22),
               left: {
@@ -418,16 +866,48 @@ describe('Parser', () => {
               start: loc(16, 1, 16),
               end: loc(26, 1, 26),
             },
-            start: loc(5, 1, 5),
-            end: loc(26, 1, 26),
+            start: loc(16, 1, 16),
+            end: loc(31, 1, 31),
           },
-          start: loc(0, 1, 0),
-          end: loc(26, 1, 26),
+          start: loc(5, 1, 5),
+          end: loc(31, 1, 31),
         },
         start: loc(0, 1, 0),
         end: loc(31, 1, 31),
       })
     })
+
+    it("applies filters to the preceding operand", () => {
+      let strip = node => JSON.parse(JSON.stringify(node, (key, value) =>
+        key === 'start' || key === 'end' ? undefined : value))
+      let v = name => ({ type: 'Variable', name })
+      let filter = (value, name) => ({ type: 'Filter', filter: v(name), value })
+
+      let expr = strip(parse('xs|length > 1'))
+      expr.op.value.should.eq('>')
+      expr.left.should.deep.eq(filter(v('xs'), 'length'))
+
+      expr = strip(parse('1 + xs|length'))
+      expr.op.value.should.eq('+')
+      expr.right.should.deep.eq(filter(v('xs'), 'length'))
+
+      expr = strip(parse('xs|length + 1'))
+      expr.op.value.should.eq('+')
+      expr.left.should.deep.eq(filter(v('xs'), 'length'))
+
+      expr = strip(parse('x|default("z") ~ "!"'))
+      expr.op.value.should.eq('~')
+      expr.left.type.should.eq('Filter')
+
+      expr = strip(parse('x|length is even'))
+      expr.type.should.eq('Test')
+      expr.value.should.deep.eq(filter(v('x'), 'length'))
+
+      expr = strip(parse('a and b|f or c|g'))
+      expr.op.value.should.eq('or')
+      expr.left.right.should.deep.eq(filter(v('b'), 'f'))
+      expr.right.should.deep.eq(filter(v('c'), 'g'))
+    })
   })
 
   it("parses a placeable with no filters", () => {
@@ -719,6 +1199,7 @@ describe('Parser', () => {
           start: loc(26, 1, 26),
           end: loc(30, 1, 30),
         },
+        recursive: false,
         alternative: null,
         start: loc(0, 1, 0),
         end: loc(39, 1, 39),
@@ -786,6 +1267,7 @@ describe('Parser', () => {
           start: loc(36, 1, 36),
           end: loc(40, 1, 40),
         },
+        recursive: false,
         alternative: null,
         start: loc(0, 1, 0),
         end: loc(49, 1, 49),
@@ -823,6 +1305,7 @@ describe('Parser', () => {
           end: loc(28, 1, 28),
         },
         filter: null,
+        recursive: false,
         alternative: [{
           type: 'Text',
           text: 'else',
@@ -881,11 +1364,55 @@ describe('Parser', () => {
           start: loc(40, 1, 40),
           end: loc(44, 1, 44),
         },
+        recursive: false,
         alternative: null,
         start: loc(0, 1, 0),
         end: loc(53, 1, 53),
       }])
     })
+
+    it("parses a recursive for loop", () => {
+      let source = new Source('{% for item in tree if item recursive %}{{ loop(item) }}{% endfor %}')
+      let parser = new Parser(source)
+      parser.process()
+      let [loop] = parser.context.body
+      loop.recursive.should.be.true
+      loop.iterable.name.should.eq('tree')
+      loop.filter.name.should.eq('item')
+    })
+
+    it("parses loop controls", () => {
+      let source = new Source('{% for x in xs %}{% if x %}{% break %}{% endif %}{% continue %}{% endfor %}')
+      let parser = new Parser(source)
+      parser.process()
+      let [loop] = parser.context.body
+      let [if_, continue_] = loop.body.body
+      if_.arms[0].body.should.deep.eq([{
+        type: 'Break',
+        start: loc(27, 1, 27),
+        end: loc(38, 1, 38),
+      }])
+      continue_.should.deep.eq({
+        type: 'Continue',
+        start: loc(49, 1, 49),
+        end: loc(63, 1, 63),
+      })
+    })
+
+    it("rejects loop controls outside of loops", () => {
+      for (let code of [
+        '{% break %}',
+        '{% for x in xs %}{% else %}{% continue %}{% endfor %}',
+        '{% for x in xs %}{% macro m() %}{% break %}{% endmacro %}{% endfor %}',
+      ]) {
+        let parser = new Parser(new Source(code))
+        ;(() => {
+          parser.process()
+        }).should.throw(SyntaxError, /outside of a loop/)
+      }
+      let parser = new Parser(new Source('{% break %}'))
+      ;(() => parser.process()).should.throw(SyntaxError, '(1:3) `break` outside of a loop')
+    })
   })
 
   describe("Macros", () => {
@@ -897,6 +1424,7 @@ describe('Parser', () => {
       parser.macros.should.deep.eq({
         'name': {
           type: 'Macro',
+          autoescape: null,
           name: {
             type: 'Identifier',
             value: 'name',
@@ -955,6 +1483,7 @@ describe('Parser', () => {
       parser.macros.should.deep.eq({
         'name': {
           type: 'Macro',
+          autoescape: null,
           name: {
             type: 'Identifier',
             value: 'name',
@@ -1022,6 +1551,7 @@ describe('Parser', () => {
           start: loc(8, 1, 8),
           end: loc(13, 1, 13),
         },
+        namespace: null,
         args: [
           {
             type: 'Number',
@@ -1053,6 +1583,61 @@ describe('Parser', () => {
       }])
     })
 
+    it("parses keyword arguments of a macro call", () => {
+      let source = new Source('{% call m(1, b=c) %}{% endcall %}')
+      let parser = new Parser(source)
+      parser.process()
+      let [call] = parser.context.body
+      call.args[0].type.should.eq('Number')
+      call.args[1].should.deep.eq({
+        type: 'KeywordArgument',
+        name: 'b',
+        value: {
+          type: 'Variable',
+          name: 'c',
+          start: loc(15, 1, 15),
+          end: loc(16, 1, 16),
+        },
+        start: loc(13, 1, 13),
+        end: loc(16, 1, 16),
+      })
+
+      parser = new Parser(new Source('{% call m(b=1, 2) %}{% endcall %}'))
+      ;(() => parser.process()).should.throw(SyntaxError,
+        'Positional argument follows keyword argument')
+    })
+
+    it("parses a macro call through a namespace", () => {
+      let source = new Source('{% call ns.macro() %}{% endcall %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([{
+        type: 'MacroCall',
+        macro: {
+          type: 'Identifier',
+          value: 'macro',
+          start: loc(11, 1, 11),
+          end: loc(16, 1, 16),
+        },
+        namespace: {
+          type: 'Identifier',
+          value: 'ns',
+          start: loc(8, 1, 8),
+          end: loc(10, 1, 10),
+        },
+        args: [],
+        body: {
+          type: 'Scope',
+          variables: [],
+          body: [],
+          start: loc(21, 1, 21),
+          end: loc(21, 1, 21),
+        },
+        start: loc(0, 1, 0),
+        end: loc(31, 1, 31),
+      }])
+    })
+
     it("parses macro with no arguments", () => {
       let source = new Source('{% macro name() %}body{% endmacro %}')
       let parser = new Parser(source)
@@ -1061,6 +1646,7 @@ describe('Parser', () => {
       parser.macros.should.deep.eq({
         'name': {
           type: 'Macro',
+          autoescape: null,
           name: {
             type: 'Identifier',
             value: 'name',
@@ -1197,6 +1783,29 @@ describe('Parser', () => {
         end: loc(30, 1, 30),
       }])
     })
+
+    it("parses block assignment", () => {
+      let source = new Source('{% set nav | f(1) | g %}body{% endset %}')
+      let parser = new Parser(source)
+      parser.process()
+      let [assign] = parser.context.body
+      assign.type.should.eq('AssignBlock')
+      assign.pattern.name.should.eq('nav')
+      assign.filters.map(f => f.type).should.deep.eq(['FunctionCall', 'Variable'])
+      assign.body.body.should.deep.eq([{
+        type: 'Text',
+        text: 'body',
+        start: loc(24, 1, 24),
+        end: loc(28, 1, 28),
+      }])
+      assign.end.should.deep.eq(loc(37, 1, 37))
+      parser.context.scope.variables.has('nav').should.be.true
+    })
+
+    it("rejects unpacking in block assignment", () => {
+      let parser = new Parser(new Source('{% set a, b %}x{% endset %}'))
+      ;(() => parser.process()).should.throw(SyntaxError, '(1:7) Cannot unpack the body of a block assignment')
+    })
   })
 
   it("parses blocks", () => {
@@ -1217,6 +1826,7 @@ describe('Parser', () => {
     parser.blocks.should.deep.eq({
       'name': {
         type: 'Block',
+        autoescape: null,
         name: {
           type: 'Identifier',
           value: 'name',
@@ -1239,5 +1849,378 @@ describe('Parser', () => {
         end: loc(34, 1, 34),
       }
     })
+
+  })
+
+  describe("Template inheritance", () => {
+    it("parses extends", () => {
+      let source = new Source('{% extends "base.html" %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([])
+      parser.generate().extends.should.deep.eq({
+        type: 'String',
+        value: 'base.html',
+        start: loc(11, 1, 11),
+        end: loc(22, 1, 22),
+      })
+    })
+
+    it("rejects extending more than one template", () => {
+      let source = new Source('{% extends "a.html" %}{% extends "b.html" %}')
+      let parser = new Parser(source)
+      ;(() => {
+        parser.process()
+      }).should.throw(SyntaxError, /only extend one/)
+    })
+
+    it("rejects extends inside a block", () => {
+      let source = new Source('{% block b %}{% extends "a.html" %}{% endblock %}')
+      let parser = new Parser(source)
+      ;(() => {
+        parser.process()
+      }).should.throw(SyntaxError, /top level/)
+    })
+  })
+
+  describe("Includes", () => {
+    it("parses a simple include", () => {
+      let source = new Source('{% include "part.html" %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([{
+        type: 'Include',
+        template: {
+          type: 'String',
+          value: 'part.html',
+          start: loc(11, 1, 11),
+          end: loc(22, 1, 22),
+        },
+        ignoreMissing: false,
+        context: true,
+        start: loc(0, 1, 0),
+        end: loc(25, 1, 25),
+      }])
+    })
+
+    it("parses an include of a list with modifiers", () => {
+      let source = new Source('{% include ["a", "b"] ignore missing without context %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([{
+        type: 'Include',
+        template: {
+          type: 'List',
+          items: [
+            {
+              type: 'String',
+              value: 'a',
+              start: loc(12, 1, 12),
+              end: loc(15, 1, 15),
+            },
+            {
+              type: 'String',
+              value: 'b',
+              start: loc(17, 1, 17),
+              end: loc(20, 1, 20),
+            },
+          ],
+          start: loc(11, 1, 11),
+          end: loc(21, 1, 21),
+        },
+        ignoreMissing: true,
+        context: false,
+        start: loc(0, 1, 0),
+        end: loc(55, 1, 55),
+      }])
+    })
+
+    it("parses an include of an expression", () => {
+      let source = new Source('{% include partial with context %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([{
+        type: 'Include',
+        template: {
+          type: 'Variable',
+          name: 'partial',
+          start: loc(11, 1, 11),
+          end: loc(18, 1, 18),
+        },
+        ignoreMissing: false,
+        context: true,
+        start: loc(0, 1, 0),
+        end: loc(34, 1, 34),
+      }])
+    })
+  })
+
+  describe("Imports", () => {
+    it("parses an import of a namespace", () => {
+      let source = new Source('{% import "forms.html" as forms %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([])
+      parser.imports.should.deep.eq([{
+        type: 'Import',
+        template: {
+          type: 'String',
+          value: 'forms.html',
+          start: loc(10, 1, 10),
+          end: loc(22, 1, 22),
+        },
+        namespace: {
+          type: 'Identifier',
+          value: 'forms',
+          start: loc(26, 1, 26),
+          end: loc(31, 1, 31),
+        },
+        names: [],
+        start: loc(0, 1, 0),
+        end: loc(31, 1, 31),
+      }])
+    })
+
+    it("parses an import of names", () => {
+      let source = new Source('{% from "f" import a, b as c %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.imports.should.deep.eq([{
+        type: 'Import',
+        template: {
+          type: 'String',
+          value: 'f',
+          start: loc(8, 1, 8),
+          end: loc(11, 1, 11),
+        },
+        namespace: null,
+        names: [
+          {
+            type: 'ImportName',
+            name: {
+              type: 'Identifier',
+              value: 'a',
+              start: loc(19, 1, 19),
+              end: loc(20, 1, 20),
+            },
+            alias: null,
+            start: loc(19, 1, 19),
+            end: loc(20, 1, 20),
+          },
+          {
+            type: 'ImportName',
+            name: {
+              type: 'Identifier',
+              value: 'b',
+              start: loc(22, 1, 22),
+              end: loc(23, 1, 23),
+            },
+            alias: {
+              type: 'Identifier',
+              value: 'c',
+              start: loc(27, 1, 27),
+              end: loc(28, 1, 28),
+            },
+            start: loc(22, 1, 22),
+            end: loc(28, 1, 28),
+          },
+        ],
+        start: loc(0, 1, 0),
+        end: loc(28, 1, 28),
+      }])
+    })
+  })
+
+  describe("Comments", () => {
+    it("skips comments", () => {
+      let source = new Source('a{# {% if %} }} #}b')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([
+        {
+          type: 'Text',
+          text: 'a',
+          start: loc(0, 1, 0),
+          end: loc(1, 1, 1),
+        },
+        {
+          type: 'Text',
+          text: 'b',
+          start: loc(18, 1, 18),
+          end: loc(19, 1, 19),
+        },
+      ])
+      parser.comments.should.deep.eq([{
+        type: 'Comment',
+        text: ' {% if %} }} ',
+        start: loc(1, 1, 1),
+        end: loc(18, 1, 18),
+      }])
+    })
+
+    it("skips multi-line comments", () => {
+      let source = new Source('{# one\ntwo #}\n{{ v }}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.comments.should.deep.eq([{
+        type: 'Comment',
+        text: ' one\ntwo ',
+        start: loc(0, 1, 0),
+        end: loc(13, 2, 6),
+      }])
+      parser.context.body[0].should.deep.eq({
+        type: 'Text',
+        text: '\n',
+        start: loc(13, 2, 6),
+        end: loc(14, 3, 0),
+      })
+    })
+
+    it("rejects unclosed comments", () => {
+      let source = new Source('{# comment')
+      let parser = new Parser(source)
+      ;(() => {
+        parser.process()
+      }).should.throw(SyntaxError, /Unclosed comment/)
+    })
+  })
+
+  describe("Whitespace control", () => {
+    it("strips whitespace before a tag", () => {
+      let source = new Source('a \n {{- v }}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body[0].should.deep.eq({
+        type: 'Text',
+        text: 'a',
+        start: loc(0, 1, 0),
+        end: loc(1, 1, 1),
+      })
+    })
+
+    it("strips whitespace after a tag", () => {
+      let source = new Source('{% set v = 1 -%} \n b')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body[1].should.deep.eq({
+        type: 'Text',
+        text: 'b',
+        start: loc(19, 2, 1),
+        end: loc(20, 2, 2),
+      })
+    })
+
+    it("drops text consisting only of whitespace", () => {
+      let source = new Source('{{ a -}} \n {#- comment -#} \n {{- b }}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.map(node => node.type).should.deep.eq([
+        'PutValue', 'PutValue',
+      ])
+      parser.comments[0].text.should.eq(' comment ')
+    })
+
+    it("removes first newline after a block with trimBlocks", () => {
+      let source = new Source('{% set v = 1 %}\n\n{{ v }}\n')
+      let parser = new Parser(source, { trimBlocks: true })
+      parser.process()
+      parser.context.body.filter(node => node.type === 'Text')
+        .map(node => node.text).should.deep.eq(['\n', '\n'])
+    })
+
+    it("removes first CRLF after a block with trimBlocks", () => {
+      let source = new Source('{% set v = 1 %}\r\n\r\n{{ v }}\r\n{% set w = 2 %}\r')
+      let parser = new Parser(source, { trimBlocks: true })
+      parser.process()
+      parser.context.body.filter(node => node.type === 'Text')
+        .map(node => node.text).should.deep.eq(['\r\n', '\r\n', '\r'])
+    })
+
+    it("strips indentation of block tags with lstripBlocks", () => {
+      let source = new Source('a\n  {% set v = 1 %} b {% set w = 2 %}')
+      let parser = new Parser(source, { lstripBlocks: true })
+      parser.process()
+      parser.context.body.filter(node => node.type === 'Text')
+        .map(node => node.text).should.deep.eq(['a\n', ' b '])
+    })
+  })
+
+  describe("Autoescape", () => {
+    it("parses autoescape blocks", () => {
+      let source = new Source('{% autoescape false %}body{% endautoescape %}')
+      let parser = new Parser(source)
+      parser.process()
+      parser.context.body.should.deep.eq([{
+        type: 'Autoescape',
+        enabled: false,
+        body: {
+          type: 'Scope',
+          variables: [],
+          body: [{
+            type: 'Text',
+            text: 'body',
+            start: loc(22, 1, 22),
+            end: loc(26, 1, 26),
+          }],
+          start: loc(22, 1, 22),
+          end: loc(26, 1, 26),
+        },
+        start: loc(0, 1, 0),
+        end: loc(42, 1, 42),
+      }])
+    })
+
+    it("rejects non-boolean values", () => {
+      let source = new Source('{% autoescape maybe %}{% endautoescape %}')
+      let parser = new Parser(source)
+      ;(() => {
+        parser.process()
+      }).should.throw(SyntaxError, /true or false/)
+    })
+  })
+
+  describe("With", () => {
+    it("parses with blocks", () => {
+      let source = new Source('{% with a = 1, b = c %}{% set d = a %}{% endwith %}')
+      let parser = new Parser(source)
+      parser.process()
+      let [block] = parser.context.body
+      block.type.should.eq('With')
+      block.targets.should.deep.eq([{
+        type: 'Assign',
+        pattern: {
+          type: 'Variable',
+          name: 'a',
+          start: loc(8, 1, 8),
+          end: loc(9, 1, 9),
+        },
+        value: {
+          type: 'Number',
+          value: 1,
+          start: loc(12, 1, 12),
+          end: loc(13, 1, 13),
+        },
+        start: loc(8, 1, 8),
+        end: loc(13, 1, 13),
+      }, {
+        type: 'Assign',
+        pattern: {
+          type: 'Variable',
+          name: 'b',
+          start: loc(15, 1, 15),
+          end: loc(16, 1, 16),
+        },
+        value: {
+          type: 'Variable',
+          name: 'c',
+          start: loc(19, 1, 19),
+          end: loc(20, 1, 20),
+        },
+        start: loc(15, 1, 15),
+        end: loc(21, 1, 21),
+      }])
+      block.body.variables.should.deep.eq(['a', 'b', 'd'])
+      parser.stack[0].scope.variables.size.should.eq(0)
+    })
   })
 })
@@ -0,0 +1,50 @@
+import { Markup } from '../lib/markup'
+import { tests } from '../lib/tests'
+
+describe('Tests', () => {
+  it('checks definedness', () => {
+    tests.defined(null).should.be.true
+    tests.defined(undefined).should.be.false
+    tests.undefined(undefined).should.be.true
+    tests.none(null).should.be.true
+    tests.none(undefined).should.be.false
+  })
+
+  it('checks types', () => {
+    tests.number(1.5).should.be.true
+    tests.number('1').should.be.false
+    tests.string(new Markup('a')).should.be.true
+    tests.mapping({}).should.be.true
+    tests.mapping(new Map()).should.be.true
+    tests.mapping([]).should.be.false
+    tests.iterable(new Set()).should.be.true
+    tests.iterable({}).should.be.true
+    tests.iterable(1).should.be.false
+    tests.sequence('a').should.be.true
+    tests.sequence(new Set()).should.be.false
+  })
+
+  it('checks numbers', () => {
+    tests.even(2).should.be.true
+    tests.odd(-3).should.be.true
+    tests.odd(1.5).should.be.false
+    tests.divisibleby(9, 3).should.be.true
+  })
+
+  it('compares', () => {
+    tests.sameas(NaN, NaN).should.be.true
+    tests.sameas([], []).should.be.false
+    tests.eq(1, 1).should.be.true
+    tests.ne(1, 2).should.be.true
+    tests.lt(1, 2).should.be.true
+    tests.gt(1, 2).should.be.false
+  })
+
+  it('checks membership', () => {
+    tests.in('a', 'cat').should.be.true
+    tests.in(2, [1, 2]).should.be.true
+    tests.in('k', { k: 1 }).should.be.true
+    tests.in('k', new Map([['k', 1]])).should.be.true
+    tests.in(3, new Set([1])).should.be.false
+  })
+})